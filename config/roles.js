@@ -0,0 +1,71 @@
+// Staff roles and the permissions each one is granted.
+// Routes declare the permission they need via authorize() in middleware/auth.js
+const PERMISSIONS = {
+    BOOKS_WRITE: 'books:write',
+    BOOKS_DELETE: 'books:delete',
+    BOOKS_RECONCILE: 'books:reconcile',
+    READERS_READ: 'readers:read',
+    READERS_WRITE: 'readers:write',
+    READERS_DELETE: 'readers:delete',
+    CATEGORIES_MANAGE: 'categories:manage',
+    RENTALS_READ: 'rentals:read',
+    RENTALS_WRITE: 'rentals:write',
+    RENTALS_RETURN: 'rentals:return',
+    FINES_ADJUST: 'fines:adjust',
+    FINES_MANAGE: 'fines:manage',
+    PAYMENTS_READ: 'payments:read',
+    PAYMENTS_WRITE: 'payments:write',
+    DATA_EXPORT: 'data:export',
+    REPORTS_READ: 'reports:read',
+    USERS_MANAGE: 'users:manage'
+};
+
+const ROLE_PERMISSIONS = {
+    admin: Object.values(PERMISSIONS),
+    librarian: [
+        PERMISSIONS.BOOKS_WRITE,
+        PERMISSIONS.READERS_READ,
+        PERMISSIONS.READERS_WRITE,
+        PERMISSIONS.RENTALS_READ,
+        PERMISSIONS.RENTALS_WRITE,
+        PERMISSIONS.RENTALS_RETURN,
+        PERMISSIONS.FINES_ADJUST,
+        PERMISSIONS.PAYMENTS_READ,
+        PERMISSIONS.DATA_EXPORT,
+        PERMISSIONS.REPORTS_READ
+    ],
+    cashier: [
+        PERMISSIONS.READERS_READ,
+        PERMISSIONS.RENTALS_READ,
+        PERMISSIONS.RENTALS_WRITE,
+        PERMISSIONS.RENTALS_RETURN,
+        PERMISSIONS.PAYMENTS_READ,
+        PERMISSIONS.PAYMENTS_WRITE
+    ],
+    // Bulk exports of reader contact details are left to librarians and admins
+    auditor: [
+        PERMISSIONS.READERS_READ,
+        PERMISSIONS.RENTALS_READ,
+        PERMISSIONS.PAYMENTS_READ,
+        PERMISSIONS.REPORTS_READ
+    ],
+    // Self-registered accounts wait here, with no access, until an admin assigns a role
+    pending: []
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const DEFAULT_ROLE = 'pending';
+
+const hasPermission = (role, permission) => {
+    const permissions = ROLE_PERMISSIONS[role] || [];
+    return permissions.includes(permission);
+};
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    ROLES,
+    DEFAULT_ROLE,
+    hasPermission
+};
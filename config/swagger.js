@@ -22,10 +22,38 @@ const options = {
         name: 'Readers',
         description: 'Reader management endpoints'
       },
+      {
+        name: 'Reader Categories',
+        description: 'Reader categories with their discount and borrowing rules'
+      },
       {
         name: 'Rentals',
         description: 'Book rental management endpoints'
       },
+      {
+        name: 'Copies',
+        description: 'Physical copy (item) inventory endpoints'
+      },
+      {
+        name: 'Holds',
+        description: 'Book hold and reservation queue endpoints'
+      },
+      {
+        name: 'Fines',
+        description: 'Overdue fine policy endpoints'
+      },
+      {
+        name: 'Ledger',
+        description: 'Deposits, charges, payments and reader balances'
+      },
+      {
+        name: 'Reports',
+        description: 'Financial and circulation reports'
+      },
+      {
+        name: 'Notifications',
+        description: 'Reminders and notices sent to readers, and their delivery history'
+      },
       {
         name: 'System',
         description: 'System health and status endpoints'
@@ -44,6 +72,22 @@ const options = {
       },
     ],
     components: {
+      parameters: {
+        ReportFrom: {
+          in: 'query',
+          name: 'from',
+          schema: { type: 'string', format: 'date' },
+          description: 'Start of the range (default 30 days before to)',
+          example: '2025-01-01'
+        },
+        ReportTo: {
+          in: 'query',
+          name: 'to',
+          schema: { type: 'string', format: 'date' },
+          description: 'End of the range (default now); a date without a time includes that day',
+          example: '2025-03-31'
+        }
+      },
       securitySchemes: {
         bearerAuth: {
           type: 'http',
@@ -75,6 +119,13 @@ const options = {
               description: 'User email',
               example: 'john@example.com'
             },
+            role: {
+              type: 'string',
+              enum: ['admin', 'librarian', 'cashier', 'auditor', 'pending'],
+              default: 'pending',
+              description: 'Staff role that determines permissions',
+              example: 'librarian'
+            },
             isActive: {
               type: 'boolean',
               default: true,
@@ -138,11 +189,11 @@ const options = {
               example: 'john.smith@example.com'
             },
             category: {
-              type: 'string',
-              enum: ['regular', 'student', 'senior', 'employee'],
-              default: 'regular',
-              description: 'Reader category',
-              example: 'student'
+              description: 'Reader category ID, or the category itself where it is populated',
+              oneOf: [
+                { type: 'string', example: '64f123456789abcdef123457' },
+                { $ref: '#/components/schemas/ReaderCategory' }
+              ]
             },
             discountPercentage: {
               type: 'number',
@@ -163,6 +214,37 @@ const options = {
               format: 'date-time',
               example: '2024-01-01T10:00:00.000Z'
             },
+            cardNumber: {
+              type: 'string',
+              readOnly: true,
+              description: 'Generated library card number',
+              example: 'R00000042'
+            },
+            membershipExpiresAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Checkout is refused after this date until the membership is renewed',
+              example: '2025-01-01T10:00:00.000Z'
+            },
+            suspension: {
+              type: 'object',
+              nullable: true,
+              description: 'Manual borrowing block, null when the reader is not suspended',
+              properties: {
+                reason: { type: 'string', example: 'Damaged two books' },
+                until: { type: 'string', format: 'date-time', description: 'Open-ended when absent' },
+                suspendedBy: { type: 'string' },
+                suspendedAt: { type: 'string', format: 'date-time' }
+              }
+            },
+            notificationOptOut: {
+              type: 'object',
+              description: 'Notifications the reader does not want',
+              properties: {
+                channels: { type: 'array', items: { type: 'string', enum: ['email', 'sms'] }, example: ['sms'] },
+                types: { type: 'array', items: { type: 'string', enum: ['due_soon', 'overdue', 'hold_ready'] }, example: [] }
+              }
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -175,6 +257,72 @@ const options = {
             },
           },
         },
+        BookHighlights: {
+          type: 'object',
+          description: 'Search matches per field as HTML-escaped text with <mark> around matched words; only fields with a match are present, the description is cut to a snippet',
+          properties: {
+            title: { type: 'string', example: 'The Great <mark>Gatsby</mark>' },
+            author: { type: 'string' },
+            genre: { type: 'string' },
+            description: { type: 'string' }
+          }
+        },
+        CatalogFacets: {
+          type: 'object',
+          properties: {
+            genre: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  value: { type: 'string', example: 'Fiction' },
+                  count: { type: 'integer', example: 12 }
+                }
+              }
+            },
+            author: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  value: { type: 'string', example: 'F. Scott Fitzgerald' },
+                  count: { type: 'integer', example: 3 }
+                }
+              }
+            },
+            availability: {
+              type: 'object',
+              properties: {
+                available: { type: 'integer', example: 40 },
+                unavailable: { type: 'integer', example: 7 }
+              }
+            },
+            price: {
+              type: 'array',
+              description: 'Daily price ranges, min inclusive and max exclusive; the last range has no max',
+              items: {
+                type: 'object',
+                properties: {
+                  min: { type: 'number', example: 1 },
+                  max: { type: 'number', nullable: true, example: 2 },
+                  count: { type: 'integer', example: 15 }
+                }
+              }
+            },
+            year: {
+              type: 'array',
+              description: 'Publication decades, newest first; from and to are null for books without a year',
+              items: {
+                type: 'object',
+                properties: {
+                  from: { type: 'integer', nullable: true, example: 1920 },
+                  to: { type: 'integer', nullable: true, example: 1929 },
+                  count: { type: 'integer', example: 2 }
+                }
+              }
+            }
+          }
+        },
         Book: {
           type: 'object',
           required: ['title', 'author', 'genre', 'depositAmount', 'rentalPricePerDay', 'totalCopies'],
@@ -199,6 +347,26 @@ const options = {
               description: 'Book genre',
               example: 'Fiction'
             },
+            description: {
+              type: 'string',
+              maxLength: 2000,
+              description: 'Short description, included in full-text search',
+              example: 'A portrait of the Jazz Age on Long Island'
+            },
+            publicationYear: {
+              type: 'integer',
+              example: 1925
+            },
+            isbn13: {
+              type: 'string',
+              description: 'Normalized ISBN-13 without hyphens',
+              example: '9780743273565'
+            },
+            isbn10: {
+              type: 'string',
+              description: 'ISBN-10 without hyphens, only for 978-prefixed ISBNs',
+              example: '0743273567'
+            },
             depositAmount: {
               type: 'number',
               minimum: 0,
@@ -213,14 +381,14 @@ const options = {
             },
             totalCopies: {
               type: 'number',
-              minimum: 1,
-              description: 'Total copies available',
+              minimum: 0,
+              description: 'Copies in the collection (not lost or withdrawn), derived from the book copies',
               example: 5
             },
             availableCopies: {
               type: 'number',
               minimum: 0,
-              description: 'Available copies',
+              description: 'Copies on the shelf and free to rent, derived from the book copies',
               example: 3
             },
             isActive: {
@@ -260,6 +428,16 @@ const options = {
               description: 'Book ID',
               example: '64f123456789abcdef123456'
             },
+            copy: {
+              type: 'string',
+              description: 'ID of the physical copy handed out',
+              example: '64f123456789abcdef123456'
+            },
+            checkoutId: {
+              type: 'string',
+              description: 'Shared by rentals lent together in one checkout',
+              example: '64f123456789abcdef123459'
+            },
             issueDate: {
               type: 'string',
               format: 'date-time',
@@ -280,10 +458,39 @@ const options = {
             },
             status: {
               type: 'string',
-              enum: ['active', 'returned', 'overdue'],
+              enum: ['active', 'returned', 'overdue', 'lost'],
               description: 'Rental status',
               example: 'active'
             },
+            outcome: {
+              type: 'string',
+              enum: ['returned', 'damaged', 'lost'],
+              description: 'How the loan ended; a lost book that is found later becomes returned'
+            },
+            conditionNotes: {
+              type: 'string',
+              description: 'Condition of a book returned damaged',
+              example: 'Water damage on the cover'
+            },
+            damageCharge: {
+              type: 'number',
+              minimum: 0,
+              example: 0
+            },
+            replacementCharge: {
+              type: 'number',
+              minimum: 0,
+              description: 'Charged for a lost book, reset when it is found',
+              example: 0
+            },
+            lostAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            foundAt: {
+              type: 'string',
+              format: 'date-time'
+            },
             depositAmount: {
               type: 'number',
               minimum: 0,
@@ -299,21 +506,79 @@ const options = {
             fineAmount: {
               type: 'number',
               minimum: 0,
-              description: 'Fine amount',
+              description: 'Fine amount, calculated from the fine policy unless adjusted',
               example: 5.00
             },
+            fineDetails: {
+              type: 'object',
+              description: 'Fine policy inputs the current fine was calculated from',
+              properties: {
+                category: { type: 'string', example: 'student' },
+                overdueDays: { type: 'integer', example: 5 },
+                chargeableDays: { type: 'integer', example: 3 },
+                finePerDay: { type: 'number', description: 'Policy rate after the category fine multiplier', example: 1.5 },
+                fineMultiplier: { type: 'number', example: 1 },
+                gracePeriodDays: { type: 'integer', example: 2 },
+                cap: { type: 'number', nullable: true, example: 25.00 },
+                uncappedAmount: { type: 'number', example: 4.50 },
+                amount: { type: 'number', example: 4.50 },
+                calculatedAt: { type: 'string', format: 'date-time', example: '2024-01-20T10:00:00.000Z' }
+              }
+            },
+            fineAdjustments: {
+              type: 'array',
+              description: 'Audit log of manual fine waivers and adjustments',
+              items: {
+                type: 'object',
+                properties: {
+                  type: { type: 'string', enum: ['waive', 'adjust'], example: 'adjust' },
+                  previousAmount: { type: 'number', example: 4.50 },
+                  newAmount: { type: 'number', example: 2.00 },
+                  reason: { type: 'string', example: 'Library was closed for two days' },
+                  adjustedBy: { type: 'string', example: '64f123456789abcdef123456' },
+                  adjustedAt: { type: 'string', format: 'date-time', example: '2024-01-20T10:00:00.000Z' }
+                }
+              }
+            },
             discountAmount: {
               type: 'number',
               minimum: 0,
               description: 'Discount amount',
               example: 3.75
             },
+            taxRate: {
+              type: 'number',
+              minimum: 0,
+              description: 'Tax rate (%) in effect at checkout',
+              example: 0
+            },
+            taxAmount: {
+              type: 'number',
+              minimum: 0,
+              description: 'Tax on the rental fee after discount',
+              example: 0
+            },
             totalAmount: {
               type: 'number',
               minimum: 0,
               description: 'Total amount',
               example: 35.00
             },
+            renewals: {
+              type: 'array',
+              description: 'Renewal history',
+              items: {
+                type: 'object',
+                properties: {
+                  renewedAt: { type: 'string', format: 'date-time', example: '2024-01-14T10:00:00.000Z' },
+                  previousReturnDate: { type: 'string', format: 'date-time', example: '2024-01-15T10:00:00.000Z' },
+                  newReturnDate: { type: 'string', format: 'date-time', example: '2024-01-29T10:00:00.000Z' },
+                  previousDiscountAmount: { type: 'number', example: 3.75 },
+                  discountAmount: { type: 'number', example: 7.50 },
+                  renewedBy: { type: 'string', example: '64f123456789abcdef123456' }
+                }
+              }
+            },
             notes: {
               type: 'string',
               description: 'Additional notes',
@@ -331,6 +596,526 @@ const options = {
             },
           },
         },
+        Copy: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Copy ID',
+              example: '64f123456789abcdef123456'
+            },
+            book: {
+              type: 'string',
+              description: 'Book ID',
+              example: '64f123456789abcdef123456'
+            },
+            barcode: {
+              type: 'string',
+              description: 'Unique barcode, generated when not provided',
+              example: 'C00000042'
+            },
+            accessionNumber: {
+              type: 'string',
+              description: 'Unique accession number',
+              example: '2024/0153'
+            },
+            condition: {
+              type: 'string',
+              enum: ['new', 'good', 'fair', 'poor', 'damaged'],
+              example: 'good'
+            },
+            location: {
+              type: 'string',
+              example: 'Shelf B3'
+            },
+            status: {
+              type: 'string',
+              enum: ['available', 'on_loan', 'on_hold', 'maintenance', 'lost', 'withdrawn'],
+              example: 'available'
+            },
+            currentRental: {
+              type: 'string',
+              description: 'Rental the copy is lent out on',
+              example: '64f123456789abcdef123456'
+            },
+            currentHold: {
+              type: 'string',
+              description: 'Hold the copy is set aside for',
+              example: '64f123456789abcdef123456'
+            },
+            notes: {
+              type: 'string',
+              example: 'Spine is torn'
+            }
+          },
+        },
+        Hold: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Hold ID',
+              example: '64f123456789abcdef123456'
+            },
+            book: {
+              type: 'string',
+              description: 'Book ID',
+              example: '64f123456789abcdef123456'
+            },
+            reader: {
+              type: 'string',
+              description: 'Reader ID',
+              example: '64f123456789abcdef123456'
+            },
+            status: {
+              type: 'string',
+              enum: ['waiting', 'ready', 'fulfilled', 'expired', 'cancelled'],
+              description: 'waiting: in the queue, ready: a copy is set aside until pickupDeadline',
+              example: 'waiting'
+            },
+            queuedAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-01T10:00:00.000Z'
+            },
+            readyAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-05T10:00:00.000Z'
+            },
+            pickupDeadline: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-08T10:00:00.000Z'
+            },
+            closedAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-06T10:00:00.000Z'
+            },
+            copy: {
+              type: 'string',
+              description: 'Copy set aside while the hold is ready',
+              example: '64f123456789abcdef123456'
+            },
+            rental: {
+              type: 'string',
+              description: 'Rental that fulfilled the hold',
+              example: '64f123456789abcdef123456'
+            },
+            notes: {
+              type: 'string',
+              example: 'Call before setting the copy aside'
+            }
+          },
+        },
+        FinePolicy: {
+          type: 'object',
+          properties: {
+            finePerDay: {
+              type: 'number',
+              minimum: 0,
+              description: 'Fine charged per chargeable overdue day',
+              example: 1.5
+            },
+            gracePeriodDays: {
+              type: 'integer',
+              minimum: 0,
+              description: 'Overdue days that are not charged',
+              example: 2
+            },
+            maxFine: {
+              type: 'number',
+              minimum: 0,
+              nullable: true,
+              description: 'Absolute fine cap, null for no fixed cap',
+              example: 30
+            },
+            capAtDeposit: {
+              type: 'boolean',
+              description: 'Never fine more than the rental deposit',
+              example: true
+            },
+            categoryOverrides: {
+              type: 'array',
+              description: 'Per reader category values, unset fields fall back to the defaults above',
+              items: {
+                type: 'object',
+                required: ['category'],
+                properties: {
+                  category: { type: 'string', example: 'senior' },
+                  finePerDay: { type: 'number', minimum: 0, example: 0.75 },
+                  gracePeriodDays: { type: 'integer', minimum: 0, example: 3 },
+                  maxFine: { type: 'number', minimum: 0, example: 15 }
+                }
+              }
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-01T10:00:00.000Z'
+            }
+          },
+        },
+        LedgerEntry: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              example: '507f1f77bcf86cd799439011'
+            },
+            reader: {
+              type: 'string',
+              description: 'Reader ID',
+              example: '507f1f77bcf86cd799439012'
+            },
+            rental: {
+              type: 'string',
+              description: 'Rental ID, absent for entries not tied to a rental',
+              example: '507f1f77bcf86cd799439013'
+            },
+            type: {
+              type: 'string',
+              enum: ['deposit_collected', 'deposit_refunded', 'fee_charged', 'fine_charged', 'damage_charged', 'replacement_charged', 'fee_paid', 'fine_paid', 'write_off', 'charge_reversed', 'payment_refunded'],
+              example: 'fine_paid'
+            },
+            amount: {
+              type: 'number',
+              minimum: 0.01,
+              example: 4.5
+            },
+            method: {
+              type: 'string',
+              enum: ['cash', 'card', 'transfer', 'deposit', 'other'],
+              description: "'deposit' means the amount was taken from the held deposit",
+              example: 'deposit'
+            },
+            discountAmount: {
+              type: 'number',
+              description: 'Discount given on the rental fee, only on fee_charged entries of a return',
+              example: 1.2
+            },
+            description: {
+              type: 'string',
+              example: 'Fine paid from deposit'
+            },
+            recordedBy: {
+              type: 'string',
+              description: 'User who recorded the entry',
+              example: '507f1f77bcf86cd799439014'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-01T10:00:00.000Z'
+            }
+          },
+        },
+        Notification: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string', example: '507f1f77bcf86cd799439015' },
+            reader: { type: 'string', description: 'Reader ID', example: '507f1f77bcf86cd799439012' },
+            type: { type: 'string', enum: ['due_soon', 'overdue', 'hold_ready'], example: 'due_soon' },
+            channel: { type: 'string', enum: ['email', 'sms'], example: 'email' },
+            key: { type: 'string', description: 'What the message is about; each key is sent once per channel', example: 'due_soon:507f1f77bcf86cd799439013:2024-01-15T10:00:00.000Z' },
+            rental: { type: 'string', description: 'Rental ID for due-date reminders and overdue notices' },
+            hold: { type: 'string', description: 'Hold ID for hold-ready alerts' },
+            status: {
+              type: 'string',
+              enum: ['pending', 'sent', 'failed', 'skipped'],
+              description: 'skipped when the reader opted out',
+              example: 'sent'
+            },
+            recipient: { type: 'string', description: 'Email address or phone number', example: 'reader@example.com' },
+            subject: { type: 'string', example: 'Reminder: "The Great Gatsby" is due on 15 January 2024' },
+            body: { type: 'string' },
+            transport: { type: 'string', example: 'smtp' },
+            providerId: { type: 'string', description: 'Message id from the mail server or SMS gateway' },
+            attempts: { type: 'integer', example: 1 },
+            error: { type: 'string', description: 'Why the last attempt failed' },
+            sentAt: { type: 'string', format: 'date-time' },
+            createdAt: { type: 'string', format: 'date-time', example: '2024-01-13T10:00:00.000Z' }
+          }
+        },
+        LedgerBalance: {
+          type: 'object',
+          properties: {
+            charged: { type: 'number', description: 'Fees and fines charged', example: 24.5 },
+            paid: { type: 'number', description: 'Fees and fines paid, including from deposits', example: 20 },
+            writtenOff: { type: 'number', example: 0 },
+            outstanding: { type: 'number', description: 'Charged minus paid and written off', example: 4.5 },
+            depositCollected: { type: 'number', example: 20 },
+            depositRefunded: { type: 'number', example: 0 },
+            depositHeld: { type: 'number', description: 'Deposits not yet refunded or used for payments', example: 0 }
+          },
+        },
+        ReportRange: {
+          type: 'object',
+          properties: {
+            from: { type: 'string', format: 'date-time' },
+            to: { type: 'string', format: 'date-time', description: 'End of the range, not included' }
+          }
+        },
+        ReportBook: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: '64f123456789abcdef123456' },
+            title: { type: 'string', example: 'The Great Gatsby' },
+            author: { type: 'string', example: 'F. Scott Fitzgerald' },
+            genre: { type: 'string', example: 'Fiction' },
+            totalCopies: { type: 'integer', example: 3 }
+          }
+        },
+        RevenueMetrics: {
+          type: 'object',
+          properties: {
+            rentalFees: { type: 'number', description: 'Rental fees charged at return, after discount and with tax', example: 182.5 },
+            membershipFees: { type: 'number', example: 40 },
+            fines: { type: 'number', example: 23 },
+            damageCharges: { type: 'number', description: 'Damage and replacement charges, less reversals for found books', example: 30 },
+            writeOffs: { type: 'number', example: 5 },
+            discounts: { type: 'number', description: 'Category discounts given on the rental fees charged', example: 21.4 },
+            revenue: { type: 'number', description: 'All charges less write-offs', example: 270.5 },
+            paymentsReceived: { type: 'number', description: 'Payments, including those settled from deposits, less refunds', example: 250 },
+            depositsCollected: { type: 'number', example: 300 },
+            depositsRefunded: { type: 'number', example: 120 },
+            depositsHeld: { type: 'number', description: 'Deposit balance held at the end of the period', example: 410 }
+          }
+        },
+        AgingTotals: {
+          type: 'object',
+          properties: {
+            rentals: { type: 'integer', example: 3 },
+            fines: { type: 'number', description: 'Fines accrued by the last overdue sweep', example: 12.5 },
+            owed: { type: 'number', description: 'Rental fees for the days kept so far, with tax, plus fines', example: 48.3 },
+            depositHeld: { type: 'number', description: 'Deposits collected for these rentals and still held', example: 40 },
+            uncovered: { type: 'number', description: 'What is owed beyond the deposit held, summed per rental', example: 8.3 }
+          }
+        },
+        AgingRental: {
+          type: 'object',
+          properties: {
+            rentalId: { type: 'string', example: '64f123456789abcdef123458' },
+            book: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                title: { type: 'string', example: 'The Great Gatsby' },
+                author: { type: 'string', example: 'F. Scott Fitzgerald' }
+              }
+            },
+            copyBarcode: { type: 'string', nullable: true, example: 'C00000042' },
+            issueDate: { type: 'string', format: 'date-time' },
+            dueDate: { type: 'string', format: 'date-time' },
+            overdueDays: { type: 'integer', example: 12 },
+            bucket: { type: 'string', enum: ['1-7', '8-30', '31-90', '90+'], example: '8-30' },
+            fineAmount: { type: 'number', example: 6 },
+            rentalFee: { type: 'number', description: 'Fee for the days kept so far, after discount and with tax', example: 21 },
+            owed: { type: 'number', example: 27 },
+            depositHeld: { type: 'number', example: 20 },
+            uncovered: { type: 'number', example: 7 }
+          }
+        },
+        ReaderCategory: {
+          type: 'object',
+          required: ['code', 'name'],
+          properties: {
+            _id: {
+              type: 'string',
+              readOnly: true,
+              example: '64f123456789abcdef123457'
+            },
+            code: {
+              type: 'string',
+              pattern: '^[a-z0-9_-]+$',
+              maxLength: 30,
+              description: 'Stable identifier, also used by fine policy category overrides',
+              example: 'student'
+            },
+            name: {
+              type: 'string',
+              maxLength: 50,
+              example: 'Student'
+            },
+            discountPercentage: {
+              type: 'number',
+              minimum: 0,
+              maximum: 100,
+              default: 0,
+              example: 15
+            },
+            rentalLimit: {
+              type: 'integer',
+              minimum: 0,
+              default: 3,
+              description: 'Active rentals a reader may hold at once',
+              example: 3
+            },
+            loanPeriodDays: {
+              type: 'integer',
+              minimum: 1,
+              default: 30,
+              description: 'Default and longest loan at checkout',
+              example: 30
+            },
+            fineMultiplier: {
+              type: 'number',
+              minimum: 0,
+              default: 1,
+              description: 'Scales the per-day fine of the fine policy',
+              example: 0.5
+            },
+            membershipTermMonths: {
+              type: 'integer',
+              minimum: 1,
+              default: 12,
+              description: 'Length of a membership term',
+              example: 12
+            },
+            membershipFee: {
+              type: 'number',
+              minimum: 0,
+              default: 0,
+              description: 'Default fee for a membership renewal',
+              example: 10
+            },
+            isDefault: {
+              type: 'boolean',
+              default: false,
+              description: 'Assigned to new readers that do not choose a category'
+            },
+            isActive: {
+              type: 'boolean',
+              default: true
+            }
+          },
+        },
+        RentalQuote: {
+          type: 'object',
+          properties: {
+            reader: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                fullName: { type: 'string', example: 'Smith John' },
+                category: { type: 'string', example: 'student' }
+              }
+            },
+            issueDate: { type: 'string', format: 'date-time' },
+            expectedReturnDate: { type: 'string', format: 'date-time' },
+            rentalDays: { type: 'integer', example: 14 },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  book: {
+                    type: 'object',
+                    properties: {
+                      id: { type: 'string' },
+                      title: { type: 'string', example: 'The Great Gatsby' },
+                      author: { type: 'string', example: 'F. Scott Fitzgerald' },
+                      isAvailable: { type: 'boolean', example: true }
+                    }
+                  },
+                  depositAmount: { type: 'number', example: 20 },
+                  rentalDays: { type: 'integer', example: 14 },
+                  pricePerDay: { type: 'number', example: 0.5 },
+                  baseCost: { type: 'number', example: 7 },
+                  discountPercentage: { type: 'number', example: 15 },
+                  discountAmount: { type: 'number', example: 1.05 },
+                  taxRate: { type: 'number', example: 0 },
+                  taxAmount: { type: 'number', example: 0 },
+                  total: { type: 'number', example: 5.95 }
+                }
+              }
+            },
+            totals: {
+              type: 'object',
+              properties: {
+                depositAmount: { type: 'number', example: 20 },
+                baseCost: { type: 'number', example: 7 },
+                discountAmount: { type: 'number', example: 1.05 },
+                taxAmount: { type: 'number', example: 0 },
+                total: { type: 'number', description: 'Rental fee after discount and tax', example: 5.95 },
+                dueAtCheckout: { type: 'number', description: 'Deposits taken when the books are handed over', example: 20 }
+              }
+            },
+            standing: {
+              type: 'object',
+              properties: {
+                canBorrow: { type: 'boolean', example: true },
+                reasons: {
+                  type: 'array',
+                  items: {
+                    $ref: '#/components/schemas/BlockingReason'
+                  }
+                }
+              }
+            }
+          },
+        },
+        CheckoutReceipt: {
+          type: 'object',
+          properties: {
+            checkoutId: { type: 'string', description: 'Shared by all rentals of the checkout' },
+            reader: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                fullName: { type: 'string', example: 'Smith John' },
+                cardNumber: { type: 'string', example: 'R00000042' }
+              }
+            },
+            issueDate: { type: 'string', format: 'date-time' },
+            expectedReturnDate: { type: 'string', format: 'date-time' },
+            rentalDays: { type: 'integer', example: 14 },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  rentalId: { type: 'string' },
+                  receiptNumber: { type: 'string', description: 'Checkout receipt number of the rental', example: 'RC00000042' },
+                  book: { type: 'object', properties: { title: { type: 'string' }, author: { type: 'string' } } },
+                  copy: { type: 'object', properties: { barcode: { type: 'string', example: 'C00000042' } } },
+                  depositAmount: { type: 'number', example: 20 },
+                  estimatedFee: { type: 'number', description: 'Fee if returned on the due date', example: 5.95 }
+                }
+              }
+            },
+            totals: {
+              type: 'object',
+              properties: {
+                depositAmount: { type: 'number', example: 40 },
+                baseCost: { type: 'number', example: 14 },
+                discountAmount: { type: 'number', example: 2.1 },
+                taxAmount: { type: 'number', example: 0 },
+                total: { type: 'number', description: 'Estimated rental fees, charged on return', example: 11.9 },
+                dueAtCheckout: { type: 'number', example: 40 },
+                depositPaid: { type: 'number', example: 40 },
+                paymentMethod: { type: 'string', example: 'card' }
+              }
+            }
+          },
+        },
+        BlockingReason: {
+          type: 'object',
+          properties: {
+            code: {
+              type: 'string',
+              enum: ['SUSPENDED', 'OVERDUE_RENTALS', 'OUTSTANDING_BALANCE', 'MEMBERSHIP_EXPIRED', 'RENTAL_LIMIT'],
+              example: 'OUTSTANDING_BALANCE'
+            },
+            message: {
+              type: 'string',
+              example: 'Outstanding balance 34.5 exceeds the limit of 20'
+            }
+          },
+          additionalProperties: true,
+          description: 'Extra fields depend on the code, e.g. outstanding/limit or the overdue rental IDs'
+        },
         Error: {
           type: 'object',
           properties: {
@@ -353,7 +1138,7 @@ const options = {
                 },
                 details: {
                   type: 'object',
-                  description: 'Additional error details'
+                  description: 'Additional error details, e.g. reasons[] (BlockingReason) when a reader may not borrow'
                 }
               }
             }
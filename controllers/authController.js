@@ -1,7 +1,31 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
 const { generateToken, generateRefreshToken, verifyRefreshToken } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const createError = require('http-errors');
+const { ROLES } = require('../config/roles');
+
+// Sign a refresh token and persist its hash so it can be rotated and revoked
+const issueRefreshToken = async (user, family = crypto.randomUUID()) => {
+    const refreshToken = generateRefreshToken({ 
+        id: user._id,
+        family,
+        jti: crypto.randomUUID()
+    });
+
+    const { exp } = jwt.decode(refreshToken);
+
+    await RefreshToken.create({
+        user: user._id,
+        tokenHash: RefreshToken.hashToken(refreshToken),
+        family,
+        expiresAt: new Date(exp * 1000)
+    });
+
+    return refreshToken;
+};
 
 const register = asyncHandler(async (req, res) => {
     const { username, email, password } = req.body;
@@ -14,22 +38,25 @@ const register = asyncHandler(async (req, res) => {
         throw createError(409, 'User with this email or username already exists');
     }
 
+    // The very first account bootstraps the system as admin
+    const userCount = await User.estimatedDocumentCount();
+
     const user = new User({
         username,
         email,
-        password
+        password,
+        ...(userCount === 0 && { role: 'admin' })
     });
 
     await user.save();
 
     const token = generateToken({ 
         id: user._id, 
-        username: user.username
+        username: user.username,
+        role: user.role
     });
     
-    const refreshToken = generateRefreshToken({ 
-        id: user._id 
-    });
+    const refreshToken = await issueRefreshToken(user);
 
     res.status(201).json({
         success: true,
@@ -38,7 +65,8 @@ const register = asyncHandler(async (req, res) => {
             user: {
                 id: user._id,
                 username: user.username,
-                email: user.email
+                email: user.email,
+                role: user.role
             },
             token,
             refreshToken
@@ -67,12 +95,11 @@ const login = asyncHandler(async (req, res) => {
 
     const token = generateToken({ 
         id: user._id, 
-        username: user.username
+        username: user.username,
+        role: user.role
     });
     
-    const refreshToken = generateRefreshToken({ 
-        id: user._id 
-    });
+    const refreshToken = await issueRefreshToken(user);
 
     res.json({
         success: true,
@@ -81,7 +108,8 @@ const login = asyncHandler(async (req, res) => {
             user: {
                 id: user._id,
                 username: user.username,
-                email: user.email
+                email: user.email,
+                role: user.role
             },
             token,
             refreshToken
@@ -97,22 +125,82 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
     }
 
     const decoded = verifyRefreshToken(refreshToken);
+    const tokenHash = RefreshToken.hashToken(refreshToken);
+
+    // Claim the token atomically so two concurrent refreshes cannot both rotate it
+    const storedToken = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+
+    if (!storedToken) {
+        const reusedToken = await RefreshToken.findOne({ tokenHash });
+
+        // A rotated token presented again means it leaked, kill the whole session
+        if (reusedToken) {
+            await RefreshToken.revokeFamily(reusedToken.family);
+        }
+
+        throw createError(401, 'Invalid refresh token');
+    }
+
     const user = await User.findById(decoded.id);
     
     if (!user || !user.isActive) {
+        await RefreshToken.revokeFamily(storedToken.family);
         throw createError(401, 'Invalid refresh token');
     }
 
     const newToken = generateToken({ 
         id: user._id, 
-        username: user.username
+        username: user.username,
+        role: user.role
     });
 
+    const newRefreshToken = await issueRefreshToken(user, storedToken.family);
+
+    storedToken.replacedByHash = RefreshToken.hashToken(newRefreshToken);
+    await storedToken.save();
+
     res.json({
         success: true,
         message: 'Token refreshed successfully',
         data: {
-            token: newToken
+            token: newToken,
+            refreshToken: newRefreshToken
+        }
+    });
+});
+
+const logout = asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        throw createError(400, 'Refresh token is required');
+    }
+
+    const storedToken = await RefreshToken.findOne({ 
+        tokenHash: RefreshToken.hashToken(refreshToken) 
+    });
+
+    if (storedToken) {
+        await RefreshToken.revokeFamily(storedToken.family);
+    }
+
+    res.json({
+        success: true,
+        message: 'Logged out successfully'
+    });
+});
+
+const logoutAll = asyncHandler(async (req, res) => {
+    const result = await RefreshToken.revokeAllForUser(req.user.id);
+
+    res.json({
+        success: true,
+        message: 'Logged out from all devices',
+        data: {
+            revokedSessions: result.modifiedCount
         }
     });
 });
@@ -131,6 +219,7 @@ const getCurrentUser = asyncHandler(async (req, res) => {
                 id: user._id,
                 username: user.username,
                 email: user.email,
+                role: user.role,
                 createdAt: user.createdAt
             }
         }
@@ -154,16 +243,65 @@ const updatePassword = asyncHandler(async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Existing sessions must log in again with the new password
+    await RefreshToken.revokeAllForUser(user._id);
+
     res.json({
         success: true,
         message: 'Password updated successfully'
     });
 });
 
+const getAllUsers = asyncHandler(async (req, res) => {
+    const users = await User.find().sort({ username: 1 });
+
+    res.json({
+        success: true,
+        data: { users }
+    });
+});
+
+const updateUserRole = asyncHandler(async (req, res) => {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+        throw createError(400, `Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    if (req.params.id === String(req.user.id)) {
+        throw createError(400, 'You cannot change your own role');
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+        throw createError(404, 'User not found');
+    }
+
+    const roleChanged = user.role !== role;
+    user.role = role;
+    await user.save();
+
+    // Sessions started under the old role end, the user signs in again with the new one
+    if (roleChanged) {
+        await RefreshToken.revokeAllForUser(user._id);
+    }
+
+    res.json({
+        success: true,
+        message: 'User role updated successfully',
+        data: { user }
+    });
+});
+
 module.exports = {
     register,
     login,
     refreshAccessToken,
+    logout,
+    logoutAll,
     getCurrentUser,
-    updatePassword
+    updatePassword,
+    getAllUsers,
+    updateUserRole
 };
\ No newline at end of file
@@ -1,44 +1,71 @@
 const Book = require('../models/Book');
+const mongoose = require('mongoose');
+const { fillWaitingHolds } = require('../services/holdService');
+const { MAX_COPIES_PER_REQUEST, isValidCopyCount, createCopies, reconcileBookCopies } = require('../services/inventoryService');
+const { SEARCH_FIELDS, searchCatalog } = require('../services/catalogService');
+const { parseImport, importBookRows } = require('../services/bookImportService');
+const { resolveFormat, streamExport } = require('../services/exportService');
+const { EVENTS, emitSafely } = require('../services/events');
+const { normalizeIsbn } = require('../utils/isbn');
+const { literalRegExp, parseSearchTerms, highlightFields } = require('../utils/search');
 const { asyncHandler } = require('../middleware/errorHandler');
 const createError = require('http-errors');
 
-const getAllBooks = asyncHandler(async (req, res) => {
-    const { page = 1, limit = 10, genre, author, search, available } = req.query;
-    
+// Filters shared by the book list and the export
+const buildBookQuery = ({ genre, author, search, available }) => {
     const query = { isActive: true };
     
     if (genre) {
-        query.genre = new RegExp(genre, 'i');
+        query.genre = literalRegExp(genre);
     }
     
     if (author) {
-        query.author = new RegExp(author, 'i');
+        query.author = literalRegExp(author);
     }
     
-    if (search) {
-        query.$or = [
-            { title: new RegExp(search, 'i') },
-            { author: new RegExp(search, 'i') }
-        ];
+    // Text index search, best matches first
+    const searching = Boolean(search && search.trim());
+    if (searching) {
+        query.$text = { $search: search, $diacriticSensitive: false };
     }
     
     if (available === 'true') {
         query.availableCopies = { $gt: 0 };
     }
     
+    return {
+        query,
+        searching,
+        projection: searching ? { score: { $meta: 'textScore' } } : {},
+        sort: searching ? { score: { $meta: 'textScore' }, createdAt: -1 } : { createdAt: -1 }
+    };
+};
+
+const getAllBooks = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, search } = req.query;
+    
+    const { query, searching, projection, sort } = buildBookQuery(req.query);
+    
     const skip = (page - 1) * limit;
     
-    const books = await Book.find(query)
-        .sort({ createdAt: -1 })
+    const books = await Book.find(query, projection)
+        .sort(sort)
         .skip(skip)
         .limit(parseInt(limit));
     
     const total = await Book.countDocuments(query);
     
+    const terms = searching ? parseSearchTerms(search) : [];
+    
     res.json({
         success: true,
         data: {
-            books,
+            books: searching
+                ? books.map(book => ({
+                    ...book.toJSON(),
+                    highlights: highlightFields(book, SEARCH_FIELDS, terms, { description: 200 })
+                }))
+                : books,
             pagination: {
                 current: parseInt(page),
                 pages: Math.ceil(total / limit),
@@ -48,6 +75,44 @@ const getAllBooks = asyncHandler(async (req, res) => {
     });
 });
 
+const BOOK_EXPORT_COLUMNS = [
+    { header: 'ID', value: book => String(book._id), width: 26 },
+    { header: 'Title', value: book => book.title, width: 40 },
+    { header: 'Author', value: book => book.author, width: 28 },
+    { header: 'Genre', value: book => book.genre },
+    { header: 'ISBN', value: book => book.isbn13 },
+    { header: 'Publication year', value: book => book.publicationYear },
+    { header: 'Deposit', value: book => book.depositAmount },
+    { header: 'Price per day', value: book => book.rentalPricePerDay },
+    { header: 'Total copies', value: book => book.totalCopies },
+    { header: 'Available copies', value: book => book.availableCopies },
+    { header: 'Description', value: book => book.description, width: 60 },
+    { header: 'Created', value: book => book.createdAt, width: 22 }
+];
+
+// The whole filtered list, streamed
+const exportBooks = asyncHandler(async (req, res) => {
+    const format = resolveFormat(req.query.format);
+    const { query, projection, sort } = buildBookQuery(req.query);
+    
+    await streamExport(res, {
+        cursor: Book.find(query, projection).sort(sort).cursor(),
+        columns: BOOK_EXPORT_COLUMNS,
+        format,
+        name: 'books'
+    });
+});
+
+// Catalog search with facet counts for filter sidebars
+const searchBooks = asyncHandler(async (req, res) => {
+    const data = await searchCatalog(req.query);
+    
+    res.json({
+        success: true,
+        data
+    });
+});
+
 const getBookById = asyncHandler(async (req, res) => {
     const book = await Book.findById(req.params.id);
     
@@ -61,25 +126,75 @@ const getBookById = asyncHandler(async (req, res) => {
     });
 });
 
+const getBookByIsbn = asyncHandler(async (req, res) => {
+    const normalized = normalizeIsbn(req.params.isbn);
+    
+    if (!normalized) {
+        throw createError(400, `Invalid ISBN: ${req.params.isbn}`);
+    }
+    
+    const book = await Book.findOne({ isbn13: normalized.isbn13 });
+    
+    if (!book || !book.isActive) {
+        throw createError(404, 'Book not found');
+    }
+    
+    res.json({
+        success: true,
+        data: { book }
+    });
+});
+
 const createBook = asyncHandler(async (req, res) => {
-    const { title, author, genre, depositAmount, rentalPricePerDay, totalCopies } = req.body;
+    const { title, author, genre, description, publicationYear, isbn, depositAmount, rentalPricePerDay, totalCopies = 1, copies } = req.body;
     
-    const existingBook = await Book.findOne({ title, author });
-    if (existingBook) {
-        throw createError(409, 'Book with this title and author already exists');
+    // Editions and translations share title and author, so the ISBN decides when there is one
+    if (isbn) {
+        const normalized = normalizeIsbn(isbn);
+        if (!normalized) {
+            throw createError(400, `Invalid ISBN: ${isbn}`);
+        }
+        
+        const existingIsbn = await Book.findOne({ isbn13: normalized.isbn13 });
+        if (existingIsbn) {
+            throw createError(409, 'Book with this ISBN already exists');
+        }
+    } else {
+        const existingBook = await Book.findOne({ title, author, isbn13: { $exists: false } });
+        if (existingBook) {
+            throw createError(409, 'Book with this title and author already exists');
+        }
     }
     
+    // Either describe each copy or just say how many to create with generated barcodes
+    const describedCopies = Array.isArray(copies) && copies.length > 0;
+    const copyCount = describedCopies ? copies.length : Number(totalCopies);
+    
+    if (!isValidCopyCount(copyCount)) {
+        throw createError(400, describedCopies
+            ? `A book can be created with at most ${MAX_COPIES_PER_REQUEST} copies`
+            : `Total copies must be a whole number from 1 to ${MAX_COPIES_PER_REQUEST}`);
+    }
+    
+    const copyEntries = describedCopies ? copies : Array.from({ length: copyCount }, () => ({}));
+    
     const book = new Book({
         title,
         author,
         genre,
+        description,
+        publicationYear,
+        isbn,
         depositAmount,
         rentalPricePerDay,
-        totalCopies,
-        availableCopies: totalCopies
+        totalCopies: copyEntries.length,
+        availableCopies: copyEntries.length
     });
     
-    await book.save();
+    await mongoose.connection.transaction(async (session) => {
+        await book.save({ session });
+        await createCopies(book, copyEntries, session);
+    });
     
     res.status(201).json({
         success: true,
@@ -95,16 +210,33 @@ const updateBook = asyncHandler(async (req, res) => {
         throw createError(404, 'Book not found');
     }
     
+    if (req.body.totalCopies !== undefined || req.body.availableCopies !== undefined) {
+        throw createError(400, 'Copy counts are derived from the book copies, manage them through /api/copies');
+    }
+    
+    if (req.body.isbn) {
+        const normalized = normalizeIsbn(req.body.isbn);
+        if (!normalized) {
+            throw createError(400, `Invalid ISBN: ${req.body.isbn}`);
+        }
+        
+        const existingIsbn = await Book.findOne({ isbn13: normalized.isbn13, _id: { $ne: book._id } });
+        if (existingIsbn) {
+            throw createError(409, 'Book with this ISBN already exists');
+        }
+    }
+    
     // Build an update object that only includes defined values
     const updates = {};
     const fields = [
         "title", 
         "author", 
         "genre", 
+        "description", 
+        "publicationYear", 
+        "isbn", 
         "depositAmount", 
         "rentalPricePerDay", 
-        "totalCopies", 
-        "availableCopies", 
         "isActive"
     ];
     
@@ -154,7 +286,7 @@ const getBooksByGenre = asyncHandler(async (req, res) => {
     const { genre } = req.params;
     
     const books = await Book.find({ 
-        genre: new RegExp(genre, 'i'), 
+        genre: literalRegExp(genre), 
         isActive: true 
     }).sort({ title: 1 });
     
@@ -164,12 +296,124 @@ const getBooksByGenre = asyncHandler(async (req, res) => {
     });
 });
 
+const IMPORT_FORMATS = {
+    csv: ['text/csv'],
+    jsonl: ['application/x-ndjson', 'application/jsonl', 'application/x-jsonlines']
+};
+
+// Bulk add or update books from a CSV or JSON lines request body
+const importBooks = asyncHandler(async (req, res) => {
+    const dryRun = req.query.dryRun === 'true';
+    const format = req.query.format ||
+        Object.keys(IMPORT_FORMATS).find(name => req.is(IMPORT_FORMATS[name]));
+    
+    if (!IMPORT_FORMATS[format]) {
+        throw createError(400, 'Send the file as text/csv or application/x-ndjson, or set format to csv or jsonl');
+    }
+    
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+        throw createError(400, 'The import file is empty');
+    }
+    
+    const rows = parseImport(req.body, format);
+    if (rows.length === 0) {
+        throw createError(400, 'The import file has no rows');
+    }
+    
+    const report = await importBookRows(rows, { dryRun });
+    
+    res.json({
+        success: true,
+        message: dryRun ? 'Dry run completed, nothing was saved' : 'Import completed',
+        data: report
+    });
+});
+
+// Thrown to roll back a reconciliation that was only a dry run
+const DRY_RUN_ROLLBACK = new Error('Dry run rollback');
+
+// Re-derive copy states and counters from open rentals and ready holds.
+// Also creates copies for books that were added before copy tracking
+const reconcileInventory = asyncHandler(async (req, res) => {
+    const dryRun = req.query.dryRun === 'true';
+    
+    const books = await Book.find({}, '_id');
+    const corrections = [];
+    const promotedHolds = [];
+    
+    for (const { _id } of books) {
+        let correction = null;
+        let promoted = [];
+        
+        try {
+            await mongoose.connection.transaction(async (session) => {
+                const book = await Book.findById(_id).session(session);
+                const previous = {
+                    totalCopies: book.totalCopies,
+                    availableCopies: book.availableCopies
+                };
+                
+                const report = await reconcileBookCopies(book, session);
+                promoted = await fillWaitingHolds(book, session);
+                
+                const changed = report.created || report.released || report.assigned || report.unassigned ||
+                    promoted.length ||
+                    previous.totalCopies !== book.totalCopies ||
+                    previous.availableCopies !== book.availableCopies;
+                
+                correction = changed ? {
+                    book: book._id,
+                    title: book.title,
+                    author: book.author,
+                    previous,
+                    totalCopies: book.totalCopies,
+                    availableCopies: book.availableCopies,
+                    ...report,
+                    promotedHolds: promoted.length
+                } : null;
+                
+                if (dryRun) {
+                    throw DRY_RUN_ROLLBACK;
+                }
+            });
+        } catch (error) {
+            if (error !== DRY_RUN_ROLLBACK) throw error;
+        }
+        
+        if (correction) {
+            corrections.push(correction);
+        }
+        
+        if (!dryRun) {
+            promotedHolds.push(...promoted);
+        }
+    }
+    
+    promotedHolds.forEach(hold => emitSafely(EVENTS.HOLD_READY, hold));
+    
+    res.json({
+        success: true,
+        message: dryRun ? 'Inventory check completed' : 'Inventory reconciled successfully',
+        data: {
+            dryRun,
+            booksChecked: books.length,
+            booksCorrected: corrections.length,
+            corrections
+        }
+    });
+});
+
 module.exports = {
     getAllBooks,
+    searchBooks,
     getBookById,
+    getBookByIsbn,
     createBook,
     updateBook,
     deleteBook,
     getAvailableBooks,
-    getBooksByGenre
+    getBooksByGenre,
+    importBooks,
+    exportBooks,
+    reconcileInventory
 };
\ No newline at end of file
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Copy = require('../models/Copy');
+const Book = require('../models/Book');
+const { MAX_COPIES_PER_REQUEST, isValidCopyCount, createCopies, normalizeBarcode } = require('../services/inventoryService');
+const { fillWaitingHolds } = require('../services/holdService');
+const { EVENTS, emitSafely } = require('../services/events');
+const { asyncHandler } = require('../middleware/errorHandler');
+const createError = require('http-errors');
+
+// Statuses staff can set by hand, on_loan and on_hold only come from rentals and holds
+const MANUAL_STATUSES = ['available', 'maintenance', 'lost', 'withdrawn'];
+
+const getAllCopies = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, book, status, condition } = req.query;
+
+    const query = {};
+
+    if (book) {
+        query.book = book;
+    }
+
+    if (status) {
+        query.status = status;
+    }
+
+    if (condition) {
+        query.condition = condition;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const copies = await Copy.find(query)
+        .populate('book', 'title author')
+        .sort({ barcode: 1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+    const total = await Copy.countDocuments(query);
+
+    res.json({
+        success: true,
+        data: {
+            copies,
+            pagination: {
+                current: parseInt(page),
+                pages: Math.ceil(total / limit),
+                total
+            }
+        }
+    });
+});
+
+// Desk scanner lookup
+const getCopyByBarcode = asyncHandler(async (req, res) => {
+    const copy = await Copy.findOne({ barcode: normalizeBarcode(req.params.barcode) })
+        .populate('book', 'title author genre rentalPricePerDay depositAmount')
+        .populate({
+            path: 'currentRental',
+            select: 'reader issueDate expectedReturnDate status',
+            populate: { path: 'reader', select: 'firstName lastName phone' }
+        })
+        .populate({
+            path: 'currentHold',
+            select: 'reader pickupDeadline',
+            populate: { path: 'reader', select: 'firstName lastName phone' }
+        });
+
+    if (!copy) {
+        throw createError(404, 'Copy not found');
+    }
+
+    res.json({
+        success: true,
+        data: { copy }
+    });
+});
+
+const createCopy = asyncHandler(async (req, res) => {
+    const { bookId, barcode, accessionNumber, condition, location, notes, count = 1 } = req.body;
+
+    const copyCount = Number(count);
+    if (!barcode && !isValidCopyCount(copyCount)) {
+        throw createError(400, `Count must be a whole number from 1 to ${MAX_COPIES_PER_REQUEST}`);
+    }
+
+    const book = await Book.findById(bookId);
+    if (!book || !book.isActive) {
+        throw createError(404, 'Book not found');
+    }
+
+    // A scanned barcode describes exactly one copy
+    const entries = barcode
+        ? [{ barcode, accessionNumber, condition, location, notes }]
+        : Array.from({ length: copyCount }, () => ({ condition, location, notes }));
+
+    let copies;
+    let promotedHolds = [];
+    await mongoose.connection.transaction(async (session) => {
+        copies = await createCopies(book, entries, session);
+        promotedHolds = await fillWaitingHolds(book, session);
+    });
+
+    promotedHolds.forEach(hold => emitSafely(EVENTS.HOLD_READY, hold));
+
+    res.status(201).json({
+        success: true,
+        message: 'Copies created successfully',
+        data: { copies, book }
+    });
+});
+
+const updateCopy = asyncHandler(async (req, res) => {
+    const { status } = req.body;
+
+    if (status !== undefined && !MANUAL_STATUSES.includes(status)) {
+        throw createError(400, `Status must be one of: ${MANUAL_STATUSES.join(', ')}`);
+    }
+
+    let copy;
+    let book;
+    let promotedHolds = [];
+    await mongoose.connection.transaction(async (session) => {
+        copy = await Copy.findById(req.params.id).session(session);
+
+        if (!copy) {
+            throw createError(404, 'Copy not found');
+        }
+
+        if (status !== undefined && ['on_loan', 'on_hold'].includes(copy.status)) {
+            throw createError(400, `Copy is ${copy.status.replace('_', ' ')}, its status changes when it is returned`);
+        }
+
+        // Build an update object that only includes defined values
+        const updates = {};
+        const fields = [
+            "accessionNumber",
+            "condition",
+            "location",
+            "status",
+            "notes"
+        ];
+
+        fields.forEach(field => {
+            if (req.body[field] !== undefined) {
+                updates[field] = req.body[field];
+            }
+        });
+
+        Object.assign(copy, updates);
+        await copy.save({ session });
+
+        book = await Book.findById(copy.book).session(session);
+        await book.syncCopyCounts(session);
+
+        if (copy.status === 'available') {
+            promotedHolds = await fillWaitingHolds(book, session);
+        }
+    });
+
+    promotedHolds.forEach(hold => emitSafely(EVENTS.HOLD_READY, hold));
+
+    // The copy may have just been set aside for a waiting hold
+    if (promotedHolds.length) {
+        copy = await Copy.findById(copy._id);
+    }
+
+    res.json({
+        success: true,
+        message: 'Copy updated successfully',
+        data: { copy, book }
+    });
+});
+
+module.exports = {
+    getAllCopies,
+    getCopyByBarcode,
+    createCopy,
+    updateCopy
+};
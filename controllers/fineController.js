@@ -0,0 +1,45 @@
+const FinePolicy = require('../models/FinePolicy');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const getFinePolicy = asyncHandler(async (req, res) => {
+    const policy = await FinePolicy.getActive();
+
+    res.json({
+        success: true,
+        data: { policy }
+    });
+});
+
+const updateFinePolicy = asyncHandler(async (req, res) => {
+    const policy = await FinePolicy.getActive();
+
+    // Build an update object that only includes defined values
+    const updates = {};
+    const fields = [
+        "finePerDay",
+        "gracePeriodDays",
+        "maxFine",
+        "capAtDeposit",
+        "categoryOverrides"
+    ];
+
+    fields.forEach(field => {
+        if (req.body[field] !== undefined) {
+            updates[field] = req.body[field];
+        }
+    });
+
+    Object.assign(policy, updates, { updatedBy: req.user.id });
+    await policy.save();
+
+    res.json({
+        success: true,
+        message: 'Fine policy updated successfully',
+        data: { policy }
+    });
+});
+
+module.exports = {
+    getFinePolicy,
+    updateFinePolicy
+};
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const Hold = require('../models/Hold');
+const Book = require('../models/Book');
+const Reader = require('../models/Reader');
+const { closeHold } = require('../services/holdService');
+const { EVENTS, emitSafely } = require('../services/events');
+const { asyncHandler } = require('../middleware/errorHandler');
+const createError = require('http-errors');
+
+const getAllHolds = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, status, reader, book } = req.query;
+
+    const query = {};
+
+    if (status) {
+        query.status = status;
+    }
+
+    if (reader) {
+        query.reader = reader;
+    }
+
+    if (book) {
+        query.book = book;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const holds = await Hold.find(query)
+        .populate('book', 'title author')
+        .populate('reader', 'firstName lastName phone')
+        .sort({ queuedAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+    const total = await Hold.countDocuments(query);
+
+    res.json({
+        success: true,
+        data: {
+            holds,
+            pagination: {
+                current: parseInt(page),
+                pages: Math.ceil(total / limit),
+                total
+            }
+        }
+    });
+});
+
+const getBookQueue = asyncHandler(async (req, res) => {
+    const book = await Book.findById(req.params.bookId);
+
+    if (!book || !book.isActive) {
+        throw createError(404, 'Book not found');
+    }
+
+    const holds = await Hold.findQueue(book._id);
+
+    res.json({
+        success: true,
+        data: {
+            book: {
+                id: book._id,
+                title: book.title,
+                availableCopies: book.availableCopies
+            },
+            holds
+        }
+    });
+});
+
+const placeHold = asyncHandler(async (req, res) => {
+    const { bookId, readerId, notes } = req.body;
+
+    const book = await Book.findById(bookId);
+    if (!book || !book.isActive) {
+        throw createError(404, 'Book not found');
+    }
+
+    const reader = await Reader.findById(readerId);
+    if (!reader || !reader.isActive) {
+        throw createError(404, 'Reader not found');
+    }
+
+    if (book.isAvailable) {
+        throw createError(400, 'Book is available, it can be rented directly');
+    }
+
+    const existingHold = await Hold.findOne({
+        book: bookId,
+        reader: readerId,
+        status: { $in: Hold.OPEN_STATUSES }
+    });
+
+    if (existingHold) {
+        throw createError(409, 'Reader already has a hold on this book');
+    }
+
+    const hold = new Hold({
+        book: bookId,
+        reader: readerId,
+        notes
+    });
+
+    await hold.save();
+
+    const position = await Hold.countDocuments({
+        book: bookId,
+        status: 'waiting',
+        queuedAt: { $lte: hold.queuedAt }
+    });
+
+    await hold.populate('book', 'title author');
+    await hold.populate('reader', 'firstName lastName');
+
+    res.status(201).json({
+        success: true,
+        message: 'Hold placed successfully',
+        data: { hold, position }
+    });
+});
+
+const cancelHold = asyncHandler(async (req, res) => {
+    let closed;
+
+    await mongoose.connection.transaction(async (session) => {
+        closed = await closeHold(req.params.id, 'cancelled', session);
+    });
+
+    if (!closed.hold) {
+        throw createError(404, 'Hold not found');
+    }
+
+    if (closed.hold.status !== 'cancelled') {
+        throw createError(400, `Hold is already ${closed.hold.status}`);
+    }
+
+    if (closed.nextHold) {
+        emitSafely(EVENTS.HOLD_READY, closed.nextHold);
+    }
+
+    res.json({
+        success: true,
+        message: 'Hold cancelled successfully',
+        data: { hold: closed.hold }
+    });
+});
+
+module.exports = {
+    getAllHolds,
+    getBookQueue,
+    placeHold,
+    cancelHold
+};
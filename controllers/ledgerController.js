@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Reader = require('../models/Reader');
+const Rental = require('../models/Rental');
+const { asyncHandler } = require('../middleware/errorHandler');
+const createError = require('http-errors');
+
+// Entries that reduce the balance cannot exceed what is owed
+const SETTLING_TYPES = ['fee_paid', 'fine_paid', 'write_off'];
+const MONEY_MOVING_TYPES = ['deposit_collected', 'deposit_refunded', 'fee_paid', 'fine_paid', 'payment_refunded'];
+
+const getLedgerEntries = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, reader, rental, type, from, to } = req.query;
+
+    const query = {};
+
+    if (reader) {
+        query.reader = reader;
+    }
+
+    if (rental) {
+        query.rental = rental;
+    }
+
+    if (type) {
+        query.type = type;
+    }
+
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const entries = await LedgerEntry.find(query)
+        .populate('reader', 'firstName lastName phone')
+        .populate('rental', 'issueDate expectedReturnDate status')
+        .populate('recordedBy', 'username')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+    const total = await LedgerEntry.countDocuments(query);
+
+    res.json({
+        success: true,
+        data: {
+            entries,
+            pagination: {
+                current: parseInt(page),
+                pages: Math.ceil(total / limit),
+                total
+            }
+        }
+    });
+});
+
+const getReaderBalance = asyncHandler(async (req, res) => {
+    const reader = await Reader.findById(req.params.readerId);
+
+    if (!reader) {
+        throw createError(404, 'Reader not found');
+    }
+
+    const balance = await LedgerEntry.getBalance({ reader: reader._id });
+
+    res.json({
+        success: true,
+        data: {
+            reader: {
+                id: reader._id,
+                fullName: reader.fullName
+            },
+            balance
+        }
+    });
+});
+
+// Payments at the desk, write-offs and one-off charges
+const createLedgerEntry = asyncHandler(async (req, res) => {
+    const { readerId, rentalId, type, amount, method, description } = req.body;
+
+    if (!LedgerEntry.ENTRY_TYPES.includes(type)) {
+        throw createError(400, `Type must be one of: ${LedgerEntry.ENTRY_TYPES.join(', ')}`);
+    }
+
+    if (typeof amount !== 'number' || Number.isNaN(amount) || amount <= 0) {
+        throw createError(400, 'Amount must be a positive number');
+    }
+
+    if (MONEY_MOVING_TYPES.includes(type) && !method) {
+        throw createError(400, 'A payment method is required for this entry type');
+    }
+
+    if (type === 'write_off' && (!description || !description.trim())) {
+        throw createError(400, 'A description is required for a write-off');
+    }
+
+    const reader = await Reader.findById(readerId);
+    if (!reader) {
+        throw createError(404, 'Reader not found');
+    }
+
+    if (rentalId) {
+        const rental = await Rental.exists({ _id: rentalId, reader: reader._id });
+        if (!rental) {
+            throw createError(404, 'Rental not found for this reader');
+        }
+    }
+
+    let entry;
+    await mongoose.connection.transaction(async (session) => {
+        if (SETTLING_TYPES.includes(type)) {
+            const filter = rentalId ? { rental: rentalId } : { reader: reader._id };
+            const { outstanding } = await LedgerEntry.getBalance(filter, session);
+
+            if (amount > outstanding) {
+                throw createError(400, `Amount exceeds the outstanding balance (${outstanding})`);
+            }
+        }
+
+        [entry] = await LedgerEntry.create([{
+            reader: reader._id,
+            rental: rentalId,
+            type,
+            amount,
+            method,
+            description,
+            recordedBy: req.user.id
+        }], { session });
+    });
+
+    const balance = await LedgerEntry.getBalance({ reader: reader._id });
+
+    res.status(201).json({
+        success: true,
+        message: 'Ledger entry recorded successfully',
+        data: { entry, balance }
+    });
+});
+
+module.exports = {
+    getLedgerEntries,
+    getReaderBalance,
+    createLedgerEntry
+};
@@ -0,0 +1,60 @@
+const Notification = require('../models/Notification');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const getNotifications = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, reader, rental, type, channel, status, from, to } = req.query;
+
+    const query = {};
+
+    if (reader) {
+        query.reader = reader;
+    }
+
+    if (rental) {
+        query.rental = rental;
+    }
+
+    if (type) {
+        query.type = type;
+    }
+
+    if (channel) {
+        query.channel = channel;
+    }
+
+    if (status) {
+        query.status = status;
+    }
+
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const notifications = await Notification.find(query)
+        .populate('reader', 'firstName lastName phone email cardNumber')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+    const total = await Notification.countDocuments(query);
+
+    res.json({
+        success: true,
+        data: {
+            notifications,
+            pagination: {
+                current: parseInt(page),
+                pages: Math.ceil(total / limit),
+                total
+            }
+        }
+    });
+});
+
+module.exports = {
+    getNotifications
+};
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const ReaderCategory = require('../models/ReaderCategory');
+const Reader = require('../models/Reader');
+const { syncReaderDiscounts } = require('../services/readerCategoryService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const createError = require('http-errors');
+
+const FIELDS = [
+    "code",
+    "name",
+    "discountPercentage",
+    "rentalLimit",
+    "loanPeriodDays",
+    "fineMultiplier",
+    "membershipTermMonths",
+    "membershipFee",
+    "isDefault",
+    "isActive"
+];
+
+const pickFields = (body) => {
+    const values = {};
+    FIELDS.forEach(field => {
+        if (body[field] !== undefined) {
+            values[field] = body[field];
+        }
+    });
+    return values;
+};
+
+// Only one category is the default; the previous one gives up the flag in the same transaction
+const saveCategory = async (category) => {
+    await mongoose.connection.transaction(async (session) => {
+        if (category.isDefault && category.isModified('isDefault')) {
+            await ReaderCategory.updateMany(
+                { _id: { $ne: category._id }, isDefault: true },
+                { $set: { isDefault: false } },
+                { session }
+            );
+        }
+        await category.save({ session });
+    });
+};
+
+const getAllCategories = asyncHandler(async (req, res) => {
+    const { includeInactive } = req.query;
+
+    const query = includeInactive === 'true' ? {} : { isActive: true };
+
+    const categories = await ReaderCategory.find(query).sort({ name: 1 });
+
+    res.json({
+        success: true,
+        data: { categories }
+    });
+});
+
+const getCategoryById = asyncHandler(async (req, res) => {
+    const category = await ReaderCategory.findById(req.params.id);
+
+    if (!category) {
+        throw createError(404, 'Reader category not found');
+    }
+
+    const readerCount = await Reader.countDocuments({ category: category._id, isActive: true });
+
+    res.json({
+        success: true,
+        data: { category, readerCount }
+    });
+});
+
+const createCategory = asyncHandler(async (req, res) => {
+    const values = pickFields(req.body);
+
+    if (values.code && await ReaderCategory.exists({ code: String(values.code).trim().toLowerCase() })) {
+        throw createError(409, 'Reader category with this code already exists');
+    }
+
+    const category = new ReaderCategory(values);
+
+    if (category.isDefault && !category.isActive) {
+        throw createError(400, 'The default category must be active');
+    }
+
+    await saveCategory(category);
+
+    res.status(201).json({
+        success: true,
+        message: 'Reader category created successfully',
+        data: { category }
+    });
+});
+
+const updateCategory = asyncHandler(async (req, res) => {
+    const category = await ReaderCategory.findById(req.params.id);
+
+    if (!category) {
+        throw createError(404, 'Reader category not found');
+    }
+
+    const updates = pickFields(req.body);
+
+    // Fine policy overrides refer to the code
+    if (updates.code !== undefined && String(updates.code).trim().toLowerCase() !== category.code) {
+        throw createError(400, 'Category code cannot be changed');
+    }
+
+    if (category.isDefault && updates.isDefault === false) {
+        throw createError(400, 'Mark another category as default instead');
+    }
+
+    Object.assign(category, updates);
+
+    if (category.isDefault && !category.isActive) {
+        throw createError(400, 'The default category must be active');
+    }
+
+    const discountChanged = category.isModified('discountPercentage');
+    await saveCategory(category);
+
+    if (discountChanged) {
+        await syncReaderDiscounts(category);
+    }
+
+    res.json({
+        success: true,
+        message: 'Reader category updated successfully',
+        data: { category }
+    });
+});
+
+// Deactivated categories keep their readers but cannot be assigned anymore
+const deleteCategory = asyncHandler(async (req, res) => {
+    const category = await ReaderCategory.findById(req.params.id);
+
+    if (!category) {
+        throw createError(404, 'Reader category not found');
+    }
+
+    if (category.isDefault) {
+        throw createError(400, 'The default category cannot be deleted');
+    }
+
+    category.isActive = false;
+    await category.save();
+
+    res.json({
+        success: true,
+        message: 'Reader category deleted successfully'
+    });
+});
+
+module.exports = {
+    getAllCategories,
+    getCategoryById,
+    createCategory,
+    updateCategory,
+    deleteCategory
+};
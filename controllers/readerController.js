@@ -1,10 +1,15 @@
 const Reader = require('../models/Reader');
+const ReaderCategory = require('../models/ReaderCategory');
+const Notification = require('../models/Notification');
+const { resolveCategory } = require('../services/readerCategoryService');
+const { evaluateStanding } = require('../services/standingService');
+const { renewMembership } = require('../services/membershipService');
+const { resolveFormat, streamExport } = require('../services/exportService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const createError = require('http-errors');
 
-const getAllReaders = asyncHandler(async (req, res) => {
-    const { page = 1, limit = 10, search, category } = req.query;
-    
+// Filters shared by the reader list and the export
+const buildReaderQuery = async ({ search, category }) => {
     const query = { isActive: true };
     
     if (search) {
@@ -17,12 +22,22 @@ const getAllReaders = asyncHandler(async (req, res) => {
     }
     
     if (category) {
-        query.category = category;
+        const match = await ReaderCategory.resolve(category);
+        query.category = match ? match._id : null;
     }
     
+    return query;
+};
+
+const getAllReaders = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10 } = req.query;
+    
+    const query = await buildReaderQuery(req.query);
+    
     const skip = (page - 1) * limit;
     
     const readers = await Reader.find(query)
+        .populate('category', 'code name')
         .sort({ lastName: 1, firstName: 1 })
         .skip(skip)
         .limit(parseInt(limit));
@@ -42,8 +57,54 @@ const getAllReaders = asyncHandler(async (req, res) => {
     });
 });
 
+const READER_EXPORT_COLUMNS = [
+    { header: 'ID', value: reader => String(reader._id), width: 26 },
+    { header: 'Card number', value: reader => reader.cardNumber },
+    { header: 'Last name', value: reader => reader.lastName, width: 20 },
+    { header: 'First name', value: reader => reader.firstName, width: 20 },
+    { header: 'Middle name', value: reader => reader.middleName, width: 20 },
+    { header: 'Email', value: reader => reader.email, width: 28 },
+    { header: 'Phone', value: reader => reader.phone },
+    { header: 'Address', value: reader => reader.address, width: 36 },
+    { header: 'Category', value: reader => reader.category && reader.category.code },
+    { header: 'Discount %', value: reader => reader.discountPercentage },
+    { header: 'Registered', value: reader => reader.registrationDate, width: 22 },
+    { header: 'Membership expires', value: reader => reader.membershipExpiresAt, width: 22 },
+    { header: 'Suspended', value: reader => (reader.isSuspended ? 'yes' : 'no') }
+];
+
+const exportReaders = asyncHandler(async (req, res) => {
+    const format = resolveFormat(req.query.format);
+    const query = await buildReaderQuery(req.query);
+    
+    await streamExport(res, {
+        cursor: Reader.find(query)
+            .populate('category', 'code name')
+            .sort({ lastName: 1, firstName: 1 })
+            .cursor(),
+        columns: READER_EXPORT_COLUMNS,
+        format,
+        name: 'readers'
+    });
+});
+
 const getReaderById = asyncHandler(async (req, res) => {
-    const reader = await Reader.findById(req.params.id);
+    const reader = await Reader.findById(req.params.id).populate('category');
+    
+    if (!reader || !reader.isActive) {
+        throw createError(404, 'Reader not found');
+    }
+    
+    res.json({
+        success: true,
+        data: { reader }
+    });
+});
+
+// Desk scanner lookup
+const getReaderByCard = asyncHandler(async (req, res) => {
+    const reader = await Reader.findOne({ cardNumber: String(req.params.cardNumber).trim().toUpperCase() })
+        .populate('category');
     
     if (!reader || !reader.isActive) {
         throw createError(404, 'Reader not found');
@@ -77,7 +138,7 @@ const createReader = asyncHandler(async (req, res) => {
         address,
         phone,
         email,
-        category
+        category: await resolveCategory(category)
     });
     
     await reader.save();
@@ -132,6 +193,10 @@ const updateReader = asyncHandler(async (req, res) => {
         }
     });
     
+    if (updates.category !== undefined) {
+        updates.category = await resolveCategory(updates.category);
+    }
+    
     // Apply updates
     Object.assign(reader, updates);
     await reader.save();
@@ -175,10 +240,14 @@ const searchReaders = asyncHandler(async (req, res) => {
 });
 
 const getReadersByCategory = asyncHandler(async (req, res) => {
-    const { category } = req.params;
+    const category = await ReaderCategory.resolve(req.params.category);
+    
+    if (!category) {
+        throw createError(404, 'Reader category not found');
+    }
     
     const readers = await Reader.find({ 
-        category, 
+        category: category._id, 
         isActive: true 
     }).sort({ lastName: 1, firstName: 1 });
     
@@ -188,12 +257,142 @@ const getReadersByCategory = asyncHandler(async (req, res) => {
     });
 });
 
+// What the front desk shows before lending: every reason the reader cannot borrow
+const getReaderStanding = asyncHandler(async (req, res) => {
+    const reader = await Reader.findById(req.params.id);
+    
+    if (!reader || !reader.isActive) {
+        throw createError(404, 'Reader not found');
+    }
+    
+    const standing = await evaluateStanding(reader, { checkout: true });
+    
+    res.json({
+        success: true,
+        data: {
+            reader: {
+                id: reader._id,
+                fullName: reader.fullName
+            },
+            ...standing
+        }
+    });
+});
+
+const suspendReader = asyncHandler(async (req, res) => {
+    const { reason, until } = req.body;
+    
+    if (!reason || !reason.trim()) {
+        throw createError(400, 'A reason is required to suspend a reader');
+    }
+    
+    const endDate = until ? new Date(until) : undefined;
+    if (endDate && (Number.isNaN(endDate.getTime()) || endDate <= new Date())) {
+        throw createError(400, 'Suspension end date must be in the future');
+    }
+    
+    const reader = await Reader.findById(req.params.id);
+    
+    if (!reader || !reader.isActive) {
+        throw createError(404, 'Reader not found');
+    }
+    
+    await reader.suspend(reason.trim(), endDate, req.user.id);
+    
+    res.json({
+        success: true,
+        message: 'Reader suspended successfully',
+        data: { reader }
+    });
+});
+
+const liftSuspension = asyncHandler(async (req, res) => {
+    const reader = await Reader.findById(req.params.id);
+    
+    if (!reader || !reader.isActive) {
+        throw createError(404, 'Reader not found');
+    }
+    
+    if (!reader.suspension) {
+        throw createError(400, 'Reader is not suspended');
+    }
+    
+    await reader.liftSuspension();
+    
+    res.json({
+        success: true,
+        message: 'Suspension lifted successfully',
+        data: { reader }
+    });
+});
+
+// Lists left out of the request keep their current value
+const updateNotificationOptOut = asyncHandler(async (req, res) => {
+    const allowed = {
+        channels: Notification.NOTIFICATION_CHANNELS,
+        types: Notification.NOTIFICATION_TYPES
+    };
+    
+    Object.entries(allowed).forEach(([field, values]) => {
+        const value = req.body[field];
+        if (value !== undefined && (!Array.isArray(value) || value.some(item => !values.includes(item)))) {
+            throw createError(400, `${field} must be a list of: ${values.join(', ')}`);
+        }
+    });
+    
+    const reader = await Reader.findById(req.params.id);
+    
+    if (!reader || !reader.isActive) {
+        throw createError(404, 'Reader not found');
+    }
+    
+    Object.keys(allowed).forEach(field => {
+        if (req.body[field] !== undefined) {
+            reader.notificationOptOut[field] = [...new Set(req.body[field])];
+        }
+    });
+    await reader.save();
+    
+    res.json({
+        success: true,
+        message: 'Notification preferences updated successfully',
+        data: { reader }
+    });
+});
+
+const renewReaderMembership = asyncHandler(async (req, res) => {
+    const { fee, paymentMethod } = req.body;
+    
+    if (fee !== undefined && (typeof fee !== 'number' || Number.isNaN(fee) || fee < 0)) {
+        throw createError(400, 'Membership fee must be a non-negative number');
+    }
+    
+    const { reader, entries } = await renewMembership(req.params.id, {
+        fee,
+        paymentMethod,
+        userId: req.user.id
+    });
+    
+    res.json({
+        success: true,
+        message: 'Membership renewed successfully',
+        data: { reader, ledgerEntries: entries }
+    });
+});
+
 module.exports = {
     getAllReaders,
+    exportReaders,
     getReaderById,
+    getReaderByCard,
     createReader,
     updateReader,
     deleteReader,
     searchReaders,
-    getReadersByCategory
+    getReadersByCategory,
+    getReaderStanding,
+    suspendReader,
+    liftSuspension,
+    updateNotificationOptOut,
+    renewReaderMembership
 };
\ No newline at end of file
@@ -1,21 +1,30 @@
+const mongoose = require('mongoose');
 const Rental = require('../models/Rental');
-const Book = require('../models/Book');
 const Reader = require('../models/Reader');
+const FinePolicy = require('../models/FinePolicy');
+const Hold = require('../models/Hold');
+const Copy = require('../models/Copy');
+const Receipt = require('../models/Receipt');
+const { releaseCopy } = require('../services/holdService');
+const { loadBooks, checkoutBooks } = require('../services/checkoutService');
+const { recordReturn, recordFound, recordFineChange } = require('../services/ledgerService');
+const { assertCanBorrow, evaluateStanding } = require('../services/standingService');
+const { calculateRentalDays, priceRental, resolveDueDate, buildQuote } = require('../utils/pricing');
+const { writeReceiptPdf } = require('../utils/receiptPdf');
+const { issueReceipt, getLibraryDetails } = require('../services/receiptService');
+const { resolveFormat, streamExport } = require('../services/exportService');
+const { EVENTS, emitSafely } = require('../services/events');
 const { asyncHandler } = require('../middleware/errorHandler');
 const createError = require('http-errors');
 
-// Helper functions for rental calculations (to reduce complexity)
-const calculateRentalDays = (startDate, endDate) => {
-    return Math.ceil((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24));
-};
-
-const calculateDiscountAmount = (baseCost, discountedCost) => {
-    return baseCost - discountedCost;
-};
+const getRenewalRules = () => ({
+    maxRenewals: Number(process.env.RENTAL_MAX_RENEWALS || 2),
+    periodDays: Number(process.env.RENEWAL_PERIOD_DAYS || 14),
+    maxOverdueDays: Number(process.env.RENEWAL_MAX_OVERDUE_DAYS || 0)
+});
 
-const getAllRentals = asyncHandler(async (req, res) => {
-    const { page = 1, limit = 10, status, reader, book } = req.query;
-    
+// Filters shared by the rental list and the export
+const buildRentalQuery = ({ status, reader, book }) => {
     const query = {};
     
     if (status) {
@@ -30,6 +39,14 @@ const getAllRentals = asyncHandler(async (req, res) => {
         query.book = book;
     }
     
+    return query;
+};
+
+const getAllRentals = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10 } = req.query;
+    
+    const query = buildRentalQuery(req.query);
+    
     const skip = (page - 1) * limit;
     
     const rentals = await Rental.find(query)
@@ -54,10 +71,51 @@ const getAllRentals = asyncHandler(async (req, res) => {
     });
 });
 
+const RENTAL_EXPORT_COLUMNS = [
+    { header: 'ID', value: rental => String(rental._id), width: 26 },
+    { header: 'Book', value: rental => rental.book && rental.book.title, width: 40 },
+    { header: 'Author', value: rental => rental.book && rental.book.author, width: 28 },
+    { header: 'Reader', value: rental => rental.reader && rental.reader.fullName, width: 28 },
+    { header: 'Card number', value: rental => rental.reader && rental.reader.cardNumber },
+    { header: 'Copy', value: rental => rental.copy && rental.copy.barcode },
+    { header: 'Status', value: rental => rental.status },
+    { header: 'Outcome', value: rental => rental.outcome },
+    { header: 'Issued', value: rental => rental.issueDate, width: 22 },
+    { header: 'Due', value: rental => rental.expectedReturnDate, width: 22 },
+    { header: 'Returned', value: rental => rental.actualReturnDate, width: 22 },
+    { header: 'Renewals', value: rental => rental.renewals.length },
+    { header: 'Deposit', value: rental => rental.depositAmount },
+    { header: 'Price per day', value: rental => rental.rentalPricePerDay },
+    { header: 'Discount', value: rental => rental.discountAmount },
+    { header: 'Tax', value: rental => rental.taxAmount },
+    { header: 'Fine', value: rental => rental.fineAmount },
+    { header: 'Damage charge', value: rental => rental.damageCharge },
+    { header: 'Replacement charge', value: rental => rental.replacementCharge },
+    { header: 'Total', value: rental => rental.totalAmount }
+];
+
+const exportRentals = asyncHandler(async (req, res) => {
+    const format = resolveFormat(req.query.format);
+    const query = buildRentalQuery(req.query);
+    
+    await streamExport(res, {
+        cursor: Rental.find(query)
+            .populate('book', 'title author genre')
+            .populate('reader', 'firstName lastName middleName cardNumber')
+            .populate('copy', 'barcode')
+            .sort({ issueDate: -1 })
+            .cursor(),
+        columns: RENTAL_EXPORT_COLUMNS,
+        format,
+        name: 'rentals'
+    });
+});
+
 const getRentalById = asyncHandler(async (req, res) => {
     const rental = await Rental.findById(req.params.id)
         .populate('book')
-        .populate('reader');
+        .populate('reader')
+        .populate('copy', 'barcode accessionNumber condition location');
     
     if (!rental) {
         throw createError(404, 'Rental not found');
@@ -69,52 +127,52 @@ const getRentalById = asyncHandler(async (req, res) => {
     });
 });
 
-const createRental = asyncHandler(async (req, res) => {
-    const { bookId, readerId, expectedReturnDate } = req.body;
+// Checkout and return receipts as PDF, as they were issued when the loan was recorded
+const sendReceipt = (type) => asyncHandler(async (req, res) => {
+    const rental = await Rental.findById(req.params.id, '_id');
     
-    const book = await Book.findById(bookId);
-    if (!book || !book.isActive) {
-        throw createError(404, 'Book not found');
-    }
-    
-    if (!book.isAvailable) {
-        throw createError(400, 'Book is not available for rental');
+    if (!rental) {
+        throw createError(404, 'Rental not found');
     }
     
-    const reader = await Reader.findById(readerId);
-    if (!reader || !reader.isActive) {
-        throw createError(404, 'Reader not found');
+    const receipt = await Receipt.findOne({ rental: rental._id, type });
+    if (!receipt) {
+        throw createError(404, type === 'checkout'
+            ? 'No checkout receipt was issued for this rental'
+            : 'No return receipt was issued for this rental, the book has not been returned');
     }
     
-    const activeRentals = await Rental.countDocuments({ 
-        reader: readerId, 
-        status: 'active' 
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="${receipt.receiptNumber}.pdf"`,
+        'X-Receipt-Number': receipt.receiptNumber
     });
+    writeReceiptPdf(receipt, getLibraryDetails(), res);
+});
+
+const getCheckoutReceipt = sendReceipt('checkout');
+const getReturnReceipt = sendReceipt('return');
+
+const createRental = asyncHandler(async (req, res) => {
+    const { bookId, readerId, expectedReturnDate, barcode, paymentMethod } = req.body;
+    
+    const [book] = await loadBooks([bookId]);
     
-    if (activeRentals >= 3) {
-        throw createError(400, 'Reader has reached maximum rental limit (3 books)');
+    const reader = await Reader.findById(readerId).populate('category');
+    if (!reader || !reader.isActive) {
+        throw createError(404, 'Reader not found');
     }
     
-    // Calculate rental pricing
-    const rentalDays = calculateRentalDays(new Date(), expectedReturnDate);
-    const baseCost = book.rentalPricePerDay * rentalDays;
-    const discountedCost = reader.calculateDiscountedPrice(baseCost);
-    const discountAmount = calculateDiscountAmount(baseCost, discountedCost);
-
-    const rental = new Rental({
-        book: bookId,
-        reader: readerId,
-        issueDate: new Date(),
-        expectedReturnDate: new Date(expectedReturnDate),
-        depositAmount: book.depositAmount,
-        rentalPricePerDay: book.rentalPricePerDay,
-        discountAmount: discountAmount
+    const { rentals: [rental] } = await checkoutBooks({
+        reader,
+        items: [{ book, barcode }],
+        expectedReturnDate,
+        paymentMethod,
+        userId: req.user.id
     });
     
-    await rental.save();
-    await book.rentCopy();
-    
     await rental.populate('book', 'title author');
+    await rental.populate('copy', 'barcode condition location');
     await rental.populate('reader', 'firstName lastName');
     
     res.status(201).json({
@@ -124,27 +182,399 @@ const createRental = asyncHandler(async (req, res) => {
     });
 });
 
-const returnBook = asyncHandler(async (req, res) => {
-    const { fineAmount = 0, notes } = req.body;
+// Several books for one reader, lent all together or not at all
+const checkoutRentals = asyncHandler(async (req, res) => {
+    const { readerId, items, expectedReturnDate, paymentMethod } = req.body;
     
-    const rental = await Rental.findById(req.params.id)
+    if (!Array.isArray(items) || items.length === 0) {
+        throw createError(400, 'At least one book is required');
+    }
+    
+    const reader = await Reader.findById(readerId).populate('category');
+    if (!reader || !reader.isActive) {
+        throw createError(404, 'Reader not found');
+    }
+    
+    const books = await loadBooks(items.map(item => item.bookId));
+    
+    const { checkoutId, rentals, receipts, quote } = await checkoutBooks({
+        reader,
+        items: items.map((item, index) => ({ book: books[index], barcode: item.barcode })),
+        expectedReturnDate,
+        paymentMethod,
+        userId: req.user.id
+    });
+    
+    for (const rental of rentals) {
+        await rental.populate('book', 'title author');
+        await rental.populate('copy', 'barcode condition location');
+    }
+    
+    res.status(201).json({
+        success: true,
+        message: 'Checkout completed successfully',
+        data: {
+            receipt: {
+                checkoutId,
+                reader: {
+                    id: reader._id,
+                    fullName: reader.fullName,
+                    cardNumber: reader.cardNumber
+                },
+                issueDate: quote.issueDate,
+                expectedReturnDate: quote.expectedReturnDate,
+                rentalDays: quote.rentalDays,
+                items: rentals.map((rental, index) => ({
+                    rentalId: rental._id,
+                    receiptNumber: receipts[index].receiptNumber,
+                    book: rental.book,
+                    copy: rental.copy,
+                    depositAmount: rental.depositAmount,
+                    estimatedFee: quote.items[index].total
+                })),
+                totals: {
+                    ...quote.totals,
+                    depositPaid: quote.totals.dueAtCheckout,
+                    paymentMethod: paymentMethod || 'cash'
+                }
+            },
+            rentals
+        }
+    });
+});
+
+// What a checkout would cost, without writing anything
+const quoteRental = asyncHandler(async (req, res) => {
+    const { readerId, bookId, bookIds, expectedReturnDate } = req.body;
+    
+    const ids = bookIds || (bookId ? [bookId] : []);
+    if (!Array.isArray(ids) || ids.length === 0) {
+        throw createError(400, 'At least one book is required');
+    }
+    
+    const reader = await Reader.findById(readerId).populate('category');
+    if (!reader || !reader.isActive) {
+        throw createError(404, 'Reader not found');
+    }
+    
+    const books = await loadBooks(ids);
+    
+    const issueDate = new Date();
+    const dueDate = resolveDueDate(reader.category, issueDate, expectedReturnDate);
+    const quote = buildQuote(books, reader, issueDate, dueDate);
+    const standing = await evaluateStanding(reader, { checkout: true, newRentals: books.length });
+    
+    res.json({
+        success: true,
+        data: {
+            reader: {
+                id: reader._id,
+                fullName: reader.fullName,
+                category: reader.category.code
+            },
+            ...quote,
+            standing
+        }
+    });
+});
+
+const getLostBookFee = () => Number(process.env.LOST_BOOK_FEE || 5);
+
+// Condition a damaged copy can be recorded in, and where it goes after the return
+const DAMAGED_COPY_STATUSES = ['maintenance', 'available', 'withdrawn'];
+
+// Re-read inside the transaction so a concurrent return aborts this one
+const loadOpenRental = async (rentalId, session) => {
+    const rental = await Rental.findById(rentalId)
         .populate('book')
-        .populate('reader');
+        .populate({ path: 'reader', populate: { path: 'category' } })
+        .session(session);
     
     if (!rental) {
         throw createError(404, 'Rental not found');
     }
     
+    if (rental.status === 'lost') {
+        throw createError(400, 'Book was reported lost, record it as found instead');
+    }
+    
     if (rental.status === 'returned') {
         throw createError(400, 'Book has already been returned');
     }
     
-    await rental.returnBook(fineAmount, notes);
-    await rental.book.returnCopy();
+    const copy = rental.copy && await Copy.findOne({ 
+        _id: rental.copy, 
+        status: 'on_loan', 
+        currentRental: rental._id 
+    }).session(session);
+    
+    if (!copy) {
+        throw createError(409, 'No copy is recorded for this rental, reconcile the book inventory first');
+    }
+    
+    return { rental, copy };
+};
+
+const returnBook = asyncHandler(async (req, res) => {
+    const { notes, outcome = 'returned', conditionNotes, damageCharge = 0, condition = 'damaged', copyStatus = 'maintenance' } = req.body;
+    
+    if (!['returned', 'damaged'].includes(outcome)) {
+        throw createError(400, 'Outcome must be returned or damaged, lost books are reported separately');
+    }
+    
+    const damaged = outcome === 'damaged';
+    
+    if (damaged) {
+        if (!conditionNotes || !conditionNotes.trim()) {
+            throw createError(400, 'Condition notes are required for a damaged book');
+        }
+        if (typeof damageCharge !== 'number' || Number.isNaN(damageCharge) || damageCharge < 0) {
+            throw createError(400, 'Damage charge must be a non-negative number');
+        }
+        if (!DAMAGED_COPY_STATUSES.includes(copyStatus)) {
+            throw createError(400, `Copy status must be one of: ${DAMAGED_COPY_STATUSES.join(', ')}`);
+        }
+    }
+    
+    const finePolicy = await FinePolicy.getActive();
+    let rental;
+    let readyHold;
+    
+    await mongoose.connection.transaction(async (session) => {
+        let copy;
+        ({ rental, copy } = await loadOpenRental(req.params.id, session));
+        
+        // Fine comes from the stored policy, clerks change it only through an adjustment
+        await rental.returnBook(finePolicy, rental.reader.category, notes,
+            damaged ? { conditionNotes: conditionNotes.trim(), damageCharge } : null);
+        await recordReturn(rental, req.user.id, session);
+        await issueReceipt({ rental, reader: rental.reader, book: rental.book, copy }, 'return', req.user.id, session);
+        
+        if (damaged) {
+            copy.condition = condition;
+            copy.notes = [copy.notes, `Damaged on return: ${conditionNotes.trim()}`].filter(Boolean).join('\n').slice(-500);
+        }
+        
+        // A damaged copy only goes back to the queue when staff put it straight back on the shelf
+        if (damaged && copyStatus !== 'available') {
+            copy.status = copyStatus;
+            copy.currentRental = null;
+            await copy.save({ session });
+            await rental.book.syncCopyCounts(session);
+        } else {
+            readyHold = await releaseCopy(rental.book, copy, session);
+        }
+    });
+    
+    if (readyHold) {
+        emitSafely(EVENTS.HOLD_READY, readyHold);
+    }
+    
+    res.json({
+        success: true,
+        message: damaged ? 'Damaged book returned successfully' : 'Book returned successfully',
+        data: { rental }
+    });
+});
+
+// The reader lost the book: the copy leaves the inventory and a replacement is charged,
+// by default the deposit plus LOST_BOOK_FEE
+const reportLost = asyncHandler(async (req, res) => {
+    const { notes, replacementCharge } = req.body;
+    
+    if (replacementCharge !== undefined && (typeof replacementCharge !== 'number' || Number.isNaN(replacementCharge) || replacementCharge < 0)) {
+        throw createError(400, 'Replacement charge must be a non-negative number');
+    }
+    
+    const finePolicy = await FinePolicy.getActive();
+    let rental;
+    
+    await mongoose.connection.transaction(async (session) => {
+        let copy;
+        ({ rental, copy } = await loadOpenRental(req.params.id, session));
+        
+        const charge = replacementCharge ?? rental.depositAmount + getLostBookFee();
+        await rental.markLost(finePolicy, rental.reader.category, charge, notes);
+        await recordReturn(rental, req.user.id, session);
+        await issueReceipt({ rental, reader: rental.reader, book: rental.book, copy }, 'return', req.user.id, session);
+        
+        copy.status = 'lost';
+        copy.currentRental = null;
+        await copy.save({ session });
+        await rental.book.syncCopyCounts(session);
+    });
+    
+    res.json({
+        success: true,
+        message: 'Book reported lost',
+        data: { rental }
+    });
+});
+
+// A lost book turned up: the copy comes back into stock and the replacement charge is reversed
+const reportFound = asyncHandler(async (req, res) => {
+    const { notes, refundMethod } = req.body;
+    
+    let rental;
+    let readyHold;
+    let ledgerEntries;
+    
+    await mongoose.connection.transaction(async (session) => {
+        rental = await Rental.findById(req.params.id).populate('book').session(session);
+        
+        if (!rental) {
+            throw createError(404, 'Rental not found');
+        }
+        
+        if (rental.status !== 'lost') {
+            throw createError(400, 'Only rentals reported lost can be found');
+        }
+        
+        const copy = await Copy.findOne({ _id: rental.copy, status: 'lost' }).session(session);
+        if (!copy) {
+            throw createError(409, 'The lost copy has already been put back into the inventory');
+        }
+        
+        const replacementCharge = rental.replacementCharge;
+        await rental.markFound(notes);
+        ledgerEntries = await recordFound(rental, replacementCharge, refundMethod, req.user.id, session);
+        readyHold = await releaseCopy(rental.book, copy, session);
+    });
+    
+    if (readyHold) {
+        emitSafely(EVENTS.HOLD_READY, readyHold);
+    }
+    
+    res.json({
+        success: true,
+        message: 'Lost book recorded as found',
+        data: { rental, ledgerEntries }
+    });
+});
+
+const renewRental = asyncHandler(async (req, res) => {
+    const rules = getRenewalRules();
+    let rental;
+    
+    // Checked and renewed in one transaction, so concurrent renewals cannot pass the limit together
+    await mongoose.connection.transaction(async (session) => {
+        rental = await Rental.findById(req.params.id).populate('reader').session(session);
+        
+        if (!rental) {
+            throw createError(404, 'Rental not found');
+        }
+        
+        if (rental.isClosed) {
+            throw createError(400, 'Returned or lost rentals cannot be renewed');
+        }
+        
+        if (rental.renewalCount >= rules.maxRenewals) {
+            throw createError(400, `Rental has reached the maximum number of renewals (${rules.maxRenewals})`);
+        }
+        
+        if (rental.overdueDays > rules.maxOverdueDays) {
+            throw createError(400, `Rental is ${rental.overdueDays} days overdue and can no longer be renewed`);
+        }
+        
+        await assertCanBorrow(rental.reader, { excludeRental: rental._id });
+        
+        const competingHold = await Hold.exists({
+            book: rental.book,
+            reader: { $ne: rental.reader._id },
+            status: { $in: Hold.OPEN_STATUSES }
+        });
+        
+        if (competingHold) {
+            throw createError(409, 'Another reader has a hold on this book');
+        }
+        
+        // A renewal extends the loan by at most one renewal period
+        const latestReturnDate = new Date(rental.expectedReturnDate.getTime() + rules.periodDays * 24 * 60 * 60 * 1000);
+        const newReturnDate = req.body.expectedReturnDate
+            ? new Date(req.body.expectedReturnDate)
+            : latestReturnDate;
+        
+        if (Number.isNaN(newReturnDate.getTime()) || newReturnDate <= rental.expectedReturnDate || newReturnDate <= new Date()) {
+            throw createError(400, 'New return date must be later than the current due date and today');
+        }
+        
+        if (newReturnDate > latestReturnDate) {
+            throw createError(400, `A renewal extends the due date by at most ${rules.periodDays} days`);
+        }
+        
+        // Re-price the whole loan period with the reader's current discount, at the tax rate of the checkout
+        const { discountAmount } = priceRental({
+            pricePerDay: rental.rentalPricePerDay,
+            rentalDays: calculateRentalDays(rental.issueDate, newReturnDate),
+            discountPercentage: rental.reader.discountPercentage,
+            taxRate: rental.taxRate
+        });
+        
+        await rental.renew(newReturnDate, discountAmount, req.user.id);
+    });
+    
+    res.json({
+        success: true,
+        message: 'Rental renewed successfully',
+        data: { 
+            rental,
+            renewalsLeft: rules.maxRenewals - rental.renewalCount
+        }
+    });
+});
+
+// A fine lowered after it was paid is refunded at the desk
+const REFUND_METHODS = ['cash', 'card', 'transfer', 'other'];
+
+const changeFine = async (req, newAmount) => {
+    const { reason, refundMethod } = req.body;
+    
+    if (!reason || !reason.trim()) {
+        throw createError(400, 'A reason is required to change a fine');
+    }
+    
+    if (typeof newAmount !== 'number' || Number.isNaN(newAmount) || newAmount < 0) {
+        throw createError(400, 'Fine amount must be a non-negative number');
+    }
+    
+    if (refundMethod !== undefined && !REFUND_METHODS.includes(refundMethod)) {
+        throw createError(400, `Refund method must be one of: ${REFUND_METHODS.join(', ')}`);
+    }
+    
+    let rental;
+    
+    // The ledger follows fines changed after the rental was settled
+    await mongoose.connection.transaction(async (session) => {
+        rental = await Rental.findById(req.params.id).session(session);
+        
+        if (!rental) {
+            throw createError(404, 'Rental not found');
+        }
+        
+        const previousAmount = rental.fineAmount;
+        await rental.adjustFine(newAmount, reason.trim(), req.user.id);
+        await recordFineChange(rental, previousAmount, reason.trim(), refundMethod, req.user.id, session);
+    });
+    
+    return rental;
+};
+
+const waiveFine = asyncHandler(async (req, res) => {
+    const rental = await changeFine(req, 0);
+    
+    res.json({
+        success: true,
+        message: 'Fine waived successfully',
+        data: { rental }
+    });
+});
+
+const adjustFine = asyncHandler(async (req, res) => {
+    const rental = await changeFine(req, req.body.amount);
     
     res.json({
         success: true,
-        message: 'Book returned successfully',
+        message: 'Fine adjusted successfully',
         data: { rental }
     });
 });
@@ -173,7 +603,11 @@ const getReaderRentals = async (req, res, next) => {
         
         const rentals = await Rental.find({ reader: readerId })
             .populate('book', 'title author genre')
-            .populate('reader', 'firstName lastName middleName phone category discountPercentage')
+            .populate({
+                path: 'reader',
+                select: 'firstName lastName middleName phone category discountPercentage',
+                populate: { path: 'category', select: 'code name' }
+            })
             .sort({ issueDate: -1 });
         
         res.json({
@@ -191,7 +625,7 @@ const getRentalStats = asyncHandler(async (req, res) => {
         Rental.countDocuments({ status: 'overdue' }),
         Rental.countDocuments({}), // Total rentals count
         Rental.aggregate([
-            { $match: { status: 'returned' } },
+            { $match: { status: { $in: ['returned', 'lost'] } } },
             { $group: { _id: null, totalRevenue: { $sum: '$totalAmount' } } }
         ])
     ]);
@@ -209,9 +643,19 @@ const getRentalStats = asyncHandler(async (req, res) => {
 
 module.exports = {
     getAllRentals,
+    exportRentals,
     getRentalById,
+    getCheckoutReceipt,
+    getReturnReceipt,
     createRental,
+    checkoutRentals,
+    quoteRental,
     returnBook,
+    reportLost,
+    reportFound,
+    renewRental,
+    waiveFine,
+    adjustFine,
     getActiveRentals,
     getOverdueRentals,
     getReaderRentals,
@@ -0,0 +1,72 @@
+const { getRevenueReport } = require('../services/reportService');
+const {
+    getMostRented,
+    getNeverRented,
+    getLoanLengthByGenre,
+    getTurnover,
+    getDemand
+} = require('../services/circulationService');
+const { getOverdueAging, getOverdueAgingCursor } = require('../services/overdueAgingService');
+const { resolveFormat, streamExport } = require('../services/exportService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// Every report takes its parameters from the query string and is sent as is
+const sendReport = (build) => asyncHandler(async (req, res) => {
+    const report = await build(req.query);
+
+    res.json({
+        success: true,
+        data: report
+    });
+});
+
+const getRevenue = sendReport(getRevenueReport);
+const getMostRentedBooks = sendReport(getMostRented);
+const getNeverRentedBooks = sendReport(getNeverRented);
+const getLoanLength = sendReport(getLoanLengthByGenre);
+const getCopyTurnover = sendReport(getTurnover);
+const getBookDemand = sendReport(getDemand);
+const getOverdueAgingReport = sendReport(getOverdueAging);
+
+// One row per overdue rental with the reader's contact details, ready for phone and letter campaigns
+const OVERDUE_AGING_EXPORT_COLUMNS = [
+    { header: 'Card number', value: line => line.reader.cardNumber },
+    { header: 'Reader', value: line => line.reader.fullName, width: 32 },
+    { header: 'Phone', value: line => line.reader.phone },
+    { header: 'Email', value: line => line.reader.email, width: 28 },
+    { header: 'Address', value: line => line.reader.address, width: 36 },
+    { header: 'Title', value: line => line.book.title, width: 36 },
+    { header: 'Author', value: line => line.book.author, width: 24 },
+    { header: 'Copy barcode', value: line => line.copyBarcode },
+    { header: 'Issued', value: line => line.issueDate, width: 22 },
+    { header: 'Due', value: line => line.dueDate, width: 22 },
+    { header: 'Days overdue', value: line => line.overdueDays },
+    { header: 'Bucket', value: line => line.bucket },
+    { header: 'Fine', value: line => line.fineAmount },
+    { header: 'Rental fee', value: line => line.rentalFee },
+    { header: 'Owed', value: line => line.owed },
+    { header: 'Deposit held', value: line => line.depositHeld },
+    { header: 'Uncovered', value: line => line.uncovered }
+];
+
+const exportOverdueAging = asyncHandler(async (req, res) => {
+    const format = resolveFormat(req.query.format);
+
+    await streamExport(res, {
+        cursor: await getOverdueAgingCursor(req.query),
+        columns: OVERDUE_AGING_EXPORT_COLUMNS,
+        format,
+        name: 'overdue-aging'
+    });
+});
+
+module.exports = {
+    getRevenue,
+    getMostRentedBooks,
+    getNeverRentedBooks,
+    getLoanLength,
+    getCopyTurnover,
+    getBookDemand,
+    getOverdueAgingReport,
+    exportOverdueAging
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const createError = require('http-errors');
+const { hasPermission } = require('../config/roles');
 
 if (!process.env.JWT_SECRET) {
     throw new Error('.env is missing a JWT secret');
@@ -33,6 +34,19 @@ const authenticateToken = (req, res, next) => {
     });
 };
 
+// Role-based authorization, must run after authenticateToken
+const authorize = (permission) => (req, res, next) => {
+    if (!req.user) {
+        return next(createError(401, 'Access token is required'));
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+        return next(createError(403, 'Insufficient permissions for this action'));
+    }
+
+    next();
+};
+
 const generateToken = (payload) => {
     return jwt.sign(
         payload,
@@ -57,12 +71,13 @@ const verifyRefreshToken = (token) => {
     try {
         return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
     } catch (err) {
-        throw new Error('Invalid refresh token');
+        throw createError(401, 'Invalid refresh token');
     }
 };
 
 module.exports = {
     authenticateToken,
+    authorize,
     generateToken,
     generateRefreshToken,
     verifyRefreshToken,
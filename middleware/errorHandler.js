@@ -46,6 +46,7 @@ const errorHandler = (error, req, res, next) => {
         error: {
             message: message,
             status: statusCode,
+            ...(err.details && { details: err.details })
         }
     });
 };
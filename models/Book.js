@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const Copy = require('./Copy');
+const { normalizeIsbn, isValidIsbn13, isValidIsbn10 } = require('../utils/isbn');
 
 const bookSchema = new mongoose.Schema({
     title: {
@@ -19,6 +21,34 @@ const bookSchema = new mongoose.Schema({
         trim: true,
         maxlength: 50
     },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 2000
+    },
+    publicationYear: {
+        type: Number,
+        min: 0,
+        validate: {
+            validator: value => Number.isInteger(value) && value <= new Date().getFullYear() + 1,
+            message: 'Invalid publication year: {VALUE}'
+        }
+    },
+    // Normalized, hyphen-free; set both through the isbn virtual
+    isbn13: {
+        type: String,
+        validate: {
+            validator: isValidIsbn13,
+            message: 'Invalid ISBN: {VALUE}'
+        }
+    },
+    isbn10: {
+        type: String,
+        validate: {
+            validator: isValidIsbn10,
+            message: 'Invalid ISBN-10: {VALUE}'
+        }
+    },
     depositAmount: {
         type: Number,
         required: true,
@@ -29,6 +59,7 @@ const bookSchema = new mongoose.Schema({
         required: true,
         min: 0
     },
+    // Both counters are derived from the book's Copy documents, see syncCopyCounts
     availableCopies: {
         type: Number,
         required: true,
@@ -38,7 +69,7 @@ const bookSchema = new mongoose.Schema({
     totalCopies: {
         type: Number,
         required: true,
-        min: 1,
+        min: 0,
         default: 1
     },
     isActive: {
@@ -55,20 +86,37 @@ bookSchema.pre('save', function(next) {
     next();
 });
 
+// Accepts ISBN-10 or ISBN-13, with or without hyphens
+bookSchema.virtual('isbn')
+    .get(function() {
+        return this.isbn13;
+    })
+    .set(function(value) {
+        if (value === undefined || value === null || value === '') {
+            this.isbn13 = undefined;
+            this.isbn10 = undefined;
+            return;
+        }
+        const normalized = normalizeIsbn(value);
+        // An invalid value is kept so validation reports it
+        this.isbn13 = normalized ? normalized.isbn13 : String(value);
+        this.isbn10 = normalized && normalized.isbn10 ? normalized.isbn10 : undefined;
+    });
+
 bookSchema.virtual('isAvailable').get(function() {
     return this.isActive && this.availableCopies > 0;
 });
 
-bookSchema.methods.rentCopy = function() {
-    if (!this.isAvailable) throw new Error('No copies available');
-    this.availableCopies -= 1;
-    return this.save();
-};
-
-bookSchema.methods.returnCopy = function() {
-    if (this.availableCopies >= this.totalCopies) throw new Error('Cannot return more copies than total');
-    this.availableCopies += 1;
-    return this.save();
+bookSchema.methods.syncCopyCounts = async function(session) {
+    const { totalCopies, availableCopies } = await Copy.countForBook(this._id, session);
+    await this.constructor.updateOne(
+        { _id: this._id },
+        { $set: { totalCopies, availableCopies } },
+        { session }
+    );
+    this.totalCopies = totalCopies;
+    this.availableCopies = availableCopies;
+    return this;
 };
 
 bookSchema.statics.findAvailable = function() {
@@ -77,5 +125,20 @@ bookSchema.statics.findAvailable = function() {
 
 bookSchema.index({ title: 1, author: 1 });
 bookSchema.index({ genre: 1 });
+bookSchema.index({ publicationYear: 1 });
+// Full-text search; no stemming or stop words so Ukrainian and English titles are matched
+// the same way, and the v3 text index ignores case and diacritics
+bookSchema.index(
+    { title: 'text', author: 'text', genre: 'text', description: 'text' },
+    {
+        name: 'book_text_search',
+        weights: { title: 10, author: 5, genre: 2, description: 1 },
+        default_language: 'none'
+    }
+);
+bookSchema.index(
+    { isbn13: 1 },
+    { unique: true, partialFilterExpression: { isbn13: { $type: 'string' } } }
+);
 
 module.exports = mongoose.model('Book', bookSchema);
\ No newline at end of file
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const COPY_STATUSES = ['available', 'on_loan', 'on_hold', 'maintenance', 'lost', 'withdrawn'];
+
+// Copies in these states are no longer part of the collection
+const OUT_OF_STOCK_STATUSES = ['lost', 'withdrawn'];
+
+// A single physical item of a Book
+const copySchema = new mongoose.Schema({
+    book: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Book',
+        required: true
+    },
+    barcode: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        uppercase: true,
+        maxlength: 50
+    },
+    accessionNumber: {
+        type: String,
+        trim: true,
+        maxlength: 50
+    },
+    condition: {
+        type: String,
+        enum: ['new', 'good', 'fair', 'poor', 'damaged'],
+        default: 'good'
+    },
+    location: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    status: {
+        type: String,
+        enum: COPY_STATUSES,
+        default: 'available'
+    },
+    currentRental: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rental'
+    },
+    currentHold: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hold'
+    },
+    notes: {
+        type: String,
+        maxlength: 500,
+        trim: true
+    }
+}, { timestamps: true });
+
+copySchema.statics.generateBarcode = async function(session) {
+    const sequence = await Counter.next('copy-barcode', session);
+    return `C${String(sequence).padStart(8, '0')}`;
+};
+
+// totalCopies / availableCopies of a book as derived from its copies
+copySchema.statics.countForBook = async function(bookId, session) {
+    const counts = await this.aggregate([
+        { $match: { book: new mongoose.Types.ObjectId(String(bookId)) } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]).session(session || null);
+
+    const byStatus = Object.fromEntries(counts.map(item => [item._id, item.count]));
+    const total = counts
+        .filter(item => !OUT_OF_STOCK_STATUSES.includes(item._id))
+        .reduce((sum, item) => sum + item.count, 0);
+
+    return {
+        totalCopies: total,
+        availableCopies: byStatus.available || 0,
+        byStatus
+    };
+};
+
+copySchema.statics.COPY_STATUSES = COPY_STATUSES;
+copySchema.statics.OUT_OF_STOCK_STATUSES = OUT_OF_STOCK_STATUSES;
+
+copySchema.index({ book: 1, status: 1 });
+copySchema.index({ accessionNumber: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Copy', copySchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Named sequences for generated numbers (barcodes, receipts, ...)
+const counterSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    value: {
+        type: Number,
+        default: 0
+    }
+}, { timestamps: true });
+
+counterSchema.statics.next = async function(name, session) {
+    const counter = await this.findOneAndUpdate(
+        { name },
+        { $inc: { value: 1 } },
+        { new: true, upsert: true, session }
+    );
+    return counter.value;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
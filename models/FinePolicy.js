@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const createError = require('http-errors');
+const { roundMoney } = require('../utils/money');
+
+const categoryOverrideSchema = new mongoose.Schema({
+    category: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    finePerDay: {
+        type: Number,
+        min: 0
+    },
+    gracePeriodDays: {
+        type: Number,
+        min: 0
+    },
+    maxFine: {
+        type: Number,
+        min: 0
+    }
+}, { _id: false });
+
+const finePolicySchema = new mongoose.Schema({
+    // Only one policy is in use, stored under a fixed key
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        default: 'default'
+    },
+    finePerDay: {
+        type: Number,
+        required: true,
+        min: 0,
+        default: 0
+    },
+    gracePeriodDays: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Absolute cap, null means no fixed limit
+    maxFine: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    // Never fine more than the deposit held for the rental
+    capAtDeposit: {
+        type: Boolean,
+        default: true
+    },
+    categoryOverrides: {
+        type: [categoryOverrideSchema],
+        default: []
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true });
+
+finePolicySchema.pre('save', function(next) {
+    const categories = this.categoryOverrides.map(override => override.category);
+    if (new Set(categories).size !== categories.length) {
+        return next(createError(400, 'Each reader category can only have one fine override'));
+    }
+    next();
+});
+
+finePolicySchema.methods.getRulesFor = function(category) {
+    const override = this.categoryOverrides.find(item => item.category === category) || {};
+    return {
+        finePerDay: override.finePerDay ?? this.finePerDay,
+        gracePeriodDays: override.gracePeriodDays ?? this.gracePeriodDays,
+        maxFine: override.maxFine ?? this.maxFine
+    };
+};
+
+// Everything needed to reproduce the fine is returned alongside the amount.
+// category is the reader's ReaderCategory: overrides match its code, its multiplier scales the daily fine
+finePolicySchema.methods.calculateFine = function(rental, category) {
+    const code = category && category.code;
+    const fineMultiplier = (category && category.fineMultiplier) ?? 1;
+    const rules = this.getRulesFor(code);
+    const finePerDay = roundMoney(rules.finePerDay * fineMultiplier);
+    const overdueDays = rental.overdueDays;
+    const chargeableDays = Math.max(0, overdueDays - rules.gracePeriodDays);
+    const uncappedAmount = roundMoney(chargeableDays * finePerDay);
+
+    const caps = [];
+    if (rules.maxFine !== null && rules.maxFine !== undefined) caps.push(rules.maxFine);
+    if (this.capAtDeposit) caps.push(rental.depositAmount);
+    const cap = caps.length ? Math.min(...caps) : null;
+
+    return {
+        category: code,
+        overdueDays,
+        chargeableDays,
+        finePerDay,
+        fineMultiplier,
+        gracePeriodDays: rules.gracePeriodDays,
+        cap,
+        uncappedAmount,
+        amount: cap === null ? uncappedAmount : Math.min(uncappedAmount, cap)
+    };
+};
+
+finePolicySchema.statics.getActive = async function() {
+    const policy = await this.findOne({ key: 'default' });
+    return policy || new this();
+};
+
+module.exports = mongoose.model('FinePolicy', finePolicySchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const OPEN_STATUSES = ['waiting', 'ready'];
+
+const holdSchema = new mongoose.Schema({
+    book: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Book',
+        required: true
+    },
+    reader: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reader',
+        required: true
+    },
+    // waiting: in the queue, ready: a copy is set aside until pickupDeadline
+    status: {
+        type: String,
+        enum: ['waiting', 'ready', 'fulfilled', 'expired', 'cancelled'],
+        default: 'waiting'
+    },
+    queuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    readyAt: {
+        type: Date
+    },
+    pickupDeadline: {
+        type: Date
+    },
+    closedAt: {
+        type: Date
+    },
+    // Copy set aside while the hold is ready
+    copy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Copy'
+    },
+    rental: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rental'
+    },
+    notes: {
+        type: String,
+        maxlength: 500,
+        trim: true
+    }
+}, { timestamps: true });
+
+holdSchema.virtual('isOpen').get(function() {
+    return OPEN_STATUSES.includes(this.status);
+});
+
+holdSchema.methods.close = function(status) {
+    this.status = status;
+    this.closedAt = new Date();
+};
+
+// Give the oldest waiting hold a pickup window on the copy the caller sets aside
+holdSchema.statics.promoteNext = function(bookId, copyId, pickupDays, session) {
+    const now = new Date();
+    return this.findOneAndUpdate(
+        { book: bookId, status: 'waiting' },
+        {
+            $set: {
+                status: 'ready',
+                copy: copyId,
+                readyAt: now,
+                pickupDeadline: new Date(now.getTime() + pickupDays * 24 * 60 * 60 * 1000)
+            }
+        },
+        { sort: { queuedAt: 1, _id: 1 }, new: true, session }
+    );
+};
+
+holdSchema.statics.findQueue = function(bookId) {
+    return this.find({ book: bookId, status: { $in: OPEN_STATUSES } })
+                .sort({ queuedAt: 1, _id: 1 })
+                .populate('reader', 'firstName lastName phone email');
+};
+
+holdSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+holdSchema.index({ book: 1, status: 1, queuedAt: 1 });
+holdSchema.index({ reader: 1, status: 1 });
+holdSchema.index({ status: 1, pickupDeadline: 1 });
+// A reader can only be in the queue for a book once
+holdSchema.index(
+    { book: 1, reader: 1 },
+    { unique: true, partialFilterExpression: { status: { $in: OPEN_STATUSES } } }
+);
+
+module.exports = mongoose.model('Hold', holdSchema);
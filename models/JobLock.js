@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// One document per scheduled job, shared by every running instance
+const jobLockSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    lockedBy: {
+        type: String
+    },
+    lockedUntil: {
+        type: Date
+    },
+    nextRunAt: {
+        type: Date
+    },
+    lastRunAt: {
+        type: Date
+    },
+    lastDurationMs: {
+        type: Number,
+        min: 0
+    },
+    lastResult: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    lastError: {
+        type: String
+    }
+}, { timestamps: true });
+
+// Returns the lock document if this owner got it, null if another instance holds it
+jobLockSchema.statics.acquire = async function(name, owner, lockMs) {
+    const now = new Date();
+    try {
+        return await this.findOneAndUpdate(
+            {
+                name,
+                $and: [
+                    { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+                    { $or: [{ nextRunAt: null }, { nextRunAt: { $lte: now } }] }
+                ]
+            },
+            { $set: { lockedBy: owner, lockedUntil: new Date(now.getTime() + lockMs) } },
+            { new: true, upsert: true }
+        );
+    } catch (error) {
+        // Upsert raced with an existing lock document
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+jobLockSchema.statics.release = function(name, owner, updates) {
+    return this.updateOne(
+        { name, lockedBy: owner },
+        { $set: { ...updates, lockedUntil: null, lockedBy: null } }
+    );
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
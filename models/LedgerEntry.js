@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const { roundMoney } = require('../utils/money');
+
+// Charges increase what a reader owes, payments and write-offs reduce it.
+// Reversals and refunds undo a charge or payment without rewriting history.
+// Deposits are tracked separately: money held for the reader, not owed by them
+const CHARGE_TYPES = ['fee_charged', 'fine_charged', 'damage_charged', 'replacement_charged'];
+const PAYMENT_TYPES = ['fee_paid', 'fine_paid'];
+const ENTRY_TYPES = [
+    'deposit_collected',
+    'deposit_refunded',
+    ...CHARGE_TYPES,
+    ...PAYMENT_TYPES,
+    'write_off',
+    'charge_reversed',
+    'payment_refunded'
+];
+
+const PAYMENT_METHODS = ['cash', 'card', 'transfer', 'deposit', 'other'];
+
+// Ledger entries are append-only, corrections are recorded as new entries
+const ledgerEntrySchema = new mongoose.Schema({
+    reader: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reader',
+        required: true
+    },
+    rental: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rental'
+    },
+    type: {
+        type: String,
+        enum: ENTRY_TYPES,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Amount must be greater than zero']
+    },
+    // How money changed hands; 'deposit' means it was taken from the held deposit
+    method: {
+        type: String,
+        enum: PAYMENT_METHODS
+    },
+    // Discount given on a rental fee, recorded with the fee charged at return
+    discountAmount: {
+        type: Number,
+        min: 0
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true });
+
+const sumByType = (totals, types) => types.reduce((sum, type) => sum + (totals[type] || 0), 0);
+
+// Outstanding balance and held deposit for a reader, optionally limited to one rental
+ledgerEntrySchema.statics.getBalance = async function(filter, session) {
+    const match = {};
+    if (filter.reader) match.reader = new mongoose.Types.ObjectId(String(filter.reader));
+    if (filter.rental) match.rental = new mongoose.Types.ObjectId(String(filter.rental));
+
+    const rows = await this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: { type: '$type', fromDeposit: { $eq: ['$method', 'deposit'] } },
+                total: { $sum: '$amount' }
+            }
+        }
+    ]).session(session || null);
+
+    const totals = {};
+    let paidFromDeposit = 0;
+    rows.forEach(row => {
+        totals[row._id.type] = (totals[row._id.type] || 0) + row.total;
+        if (row._id.fromDeposit && PAYMENT_TYPES.includes(row._id.type)) {
+            paidFromDeposit += row.total;
+        }
+    });
+
+    const charged = sumByType(totals, CHARGE_TYPES) - (totals.charge_reversed || 0);
+    const paid = sumByType(totals, PAYMENT_TYPES) - (totals.payment_refunded || 0);
+    const writtenOff = totals.write_off || 0;
+
+    return {
+        charged: roundMoney(charged),
+        paid: roundMoney(paid),
+        writtenOff: roundMoney(writtenOff),
+        outstanding: roundMoney(charged - paid - writtenOff),
+        depositCollected: roundMoney(totals.deposit_collected || 0),
+        depositRefunded: roundMoney(totals.deposit_refunded || 0),
+        depositHeld: roundMoney((totals.deposit_collected || 0) - (totals.deposit_refunded || 0) - paidFromDeposit)
+    };
+};
+
+ledgerEntrySchema.statics.ENTRY_TYPES = ENTRY_TYPES;
+ledgerEntrySchema.statics.CHARGE_TYPES = CHARGE_TYPES;
+ledgerEntrySchema.statics.PAYMENT_METHODS = PAYMENT_METHODS;
+
+ledgerEntrySchema.index({ reader: 1, createdAt: -1 });
+ledgerEntrySchema.index({ rental: 1, createdAt: 1 });
+ledgerEntrySchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['due_soon', 'overdue', 'hold_ready'];
+const NOTIFICATION_CHANNELS = ['email', 'sms'];
+
+// Delivery history: one document per message and channel.
+// key identifies what the message is about (e.g. a rental's due date), so each is sent once per channel
+const notificationSchema = new mongoose.Schema({
+    reader: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reader',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: NOTIFICATION_TYPES,
+        required: true
+    },
+    channel: {
+        type: String,
+        enum: NOTIFICATION_CHANNELS,
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    rental: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rental'
+    },
+    hold: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hold'
+    },
+    // pending: claimed by the sender, skipped: the reader opted out
+    status: {
+        type: String,
+        enum: ['pending', 'sent', 'failed', 'skipped'],
+        default: 'pending'
+    },
+    recipient: {
+        type: String,
+        trim: true
+    },
+    subject: {
+        type: String,
+        trim: true
+    },
+    body: {
+        type: String
+    },
+    transport: {
+        type: String
+    },
+    // Message id returned by the mail server or SMS gateway
+    providerId: {
+        type: String
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    error: {
+        type: String,
+        maxlength: 500
+    },
+    sentAt: {
+        type: Date
+    }
+}, { timestamps: true });
+
+notificationSchema.index({ key: 1, channel: 1 }, { unique: true });
+notificationSchema.index({ reader: 1, createdAt: -1 });
+notificationSchema.index({ status: 1, createdAt: -1 });
+
+notificationSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+notificationSchema.statics.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,4 +1,29 @@
 const mongoose = require('mongoose');
+const createError = require('http-errors');
+const ReaderCategory = require('./ReaderCategory');
+const Counter = require('./Counter');
+const { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } = require('./Notification');
+
+// Manual borrowing block; without an end date it lasts until lifted
+const suspensionSchema = new mongoose.Schema({
+    reason: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 500
+    },
+    until: {
+        type: Date
+    },
+    suspendedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    suspendedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
 
 const readerSchema = new mongoose.Schema({
     lastName: {
@@ -37,10 +62,11 @@ const readerSchema = new mongoose.Schema({
         sparse: true
     },
     category: {
-        type: String,
-        enum: ['regular', 'student', 'senior', 'employee'],
-        default: 'regular'
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReaderCategory',
+        required: true
     },
+    // Copied from the category so prices can be computed without loading it
     discountPercentage: {
         type: Number,
         min: 0,
@@ -54,27 +80,51 @@ const readerSchema = new mongoose.Schema({
     registrationDate: {
         type: Date,
         default: Date.now
+    },
+    // Library card, printed as a scannable barcode
+    cardNumber: {
+        type: String,
+        unique: true,
+        sparse: true,
+        trim: true,
+        uppercase: true
+    },
+    membershipExpiresAt: {
+        type: Date
+    },
+    suspension: {
+        type: suspensionSchema,
+        default: null
+    },
+    // Notifications the reader does not want, by channel or by type
+    notificationOptOut: {
+        channels: [{ type: String, enum: NOTIFICATION_CHANNELS }],
+        types: [{ type: String, enum: NOTIFICATION_TYPES }]
     }
 }, { timestamps: true });
 
-readerSchema.pre('save', function(next) {
-    switch(this.category) {
-        case 'student':
-            this.discountPercentage = 15;
-            break;
-        case 'senior':
-            this.discountPercentage = 20;
-            break;
-        case 'employee':
-            this.discountPercentage = 10;
-            break;
-        default:
-            this.discountPercentage = 0;
+readerSchema.pre('save', async function() {
+    if (this.isNew || this.isModified('category')) {
+        const category = this.populated('category')
+            ? this.category
+            : await ReaderCategory.findById(this.category);
+        if (!category) {
+            throw createError(400, 'Reader category not found');
+        }
+        this.discountPercentage = category.discountPercentage;
+
+        if (this.isNew && !this.membershipExpiresAt) {
+            this.membershipExpiresAt = category.membershipEndFrom(this.registrationDate);
+        }
+    }
+
+    if (!this.cardNumber) {
+        this.cardNumber = await this.constructor.generateCardNumber();
     }
-    next();
 });
 
 readerSchema.index({ lastName: 1, firstName: 1 });
+readerSchema.index({ category: 1 });
 
 readerSchema.virtual('fullName').get(function() {
     if (this.middleName) {
@@ -83,11 +133,41 @@ readerSchema.virtual('fullName').get(function() {
     return `${this.lastName} ${this.firstName}`;
 });
 
+readerSchema.virtual('isSuspended').get(function() {
+    if (!this.suspension) return false;
+    return !this.suspension.until || this.suspension.until > new Date();
+});
+
+readerSchema.virtual('isMembershipExpired').get(function() {
+    return !!this.membershipExpiresAt && this.membershipExpiresAt <= new Date();
+});
+
+readerSchema.methods.suspend = function(reason, until, userId) {
+    this.suspension = { reason, until, suspendedBy: userId, suspendedAt: new Date() };
+    return this.save();
+};
+
+readerSchema.methods.liftSuspension = function() {
+    this.suspension = null;
+    return this.save();
+};
+
+readerSchema.methods.wantsNotification = function(type, channel) {
+    const optOut = this.notificationOptOut || {};
+    return !(optOut.channels || []).includes(channel) && !(optOut.types || []).includes(type);
+};
+
 readerSchema.methods.calculateDiscountedPrice = function(originalPrice) {
     const discountAmount = (originalPrice * this.discountPercentage) / 100;
     return Math.max(0, originalPrice - discountAmount);
 };
 
+// Card numbers start with R so desk scanners can tell them apart from copy barcodes (C...)
+readerSchema.statics.generateCardNumber = async function(session) {
+    const sequence = await Counter.next('reader-card', session);
+    return `R${String(sequence).padStart(8, '0')}`;
+};
+
 readerSchema.statics.findByName = function(searchTerm) {
     const regex = new RegExp(searchTerm, 'i');
     return this.find({
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// Categories every library started with, created on first start and used to migrate older readers
+const DEFAULT_CATEGORIES = [
+    { code: 'regular', name: 'Regular', discountPercentage: 0, isDefault: true },
+    { code: 'student', name: 'Student', discountPercentage: 15 },
+    { code: 'senior', name: 'Senior', discountPercentage: 20 },
+    { code: 'employee', name: 'Employee', discountPercentage: 10 }
+];
+
+const readerCategorySchema = new mongoose.Schema({
+    // Stable identifier used by fine policy overrides and API filters
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9_-]+$/, 'Code may only contain letters, digits, "-" and "_"'],
+        maxlength: 30
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50
+    },
+    discountPercentage: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0
+    },
+    // Open rentals a reader may hold at once
+    rentalLimit: {
+        type: Number,
+        min: 0,
+        default: 3
+    },
+    // Default and longest loan at checkout
+    loanPeriodDays: {
+        type: Number,
+        min: 1,
+        default: 30
+    },
+    // Scales the fine policy's per-day fine
+    fineMultiplier: {
+        type: Number,
+        min: 0,
+        default: 1
+    },
+    // Length of a membership term, from registration or renewal
+    membershipTermMonths: {
+        type: Number,
+        min: 1,
+        default: 12
+    },
+    // Charged on renewal unless staff enter a different fee
+    membershipFee: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Assigned to new readers that do not choose a category
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, { timestamps: true });
+
+// Accepts a category ID or code
+readerCategorySchema.statics.resolve = function(value) {
+    if (mongoose.isValidObjectId(value) && String(value).length === 24) {
+        return this.findOne({ _id: value });
+    }
+    return this.findOne({ code: String(value).trim().toLowerCase() });
+};
+
+readerCategorySchema.methods.membershipEndFrom = function(start) {
+    const end = new Date(start);
+    end.setMonth(end.getMonth() + this.membershipTermMonths);
+    return end;
+};
+
+readerCategorySchema.statics.getDefault = function() {
+    return this.findOne({ isDefault: true, isActive: true });
+};
+
+readerCategorySchema.statics.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+
+readerCategorySchema.index(
+    { isDefault: 1 },
+    { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+module.exports = mongoose.model('ReaderCategory', readerCategorySchema);
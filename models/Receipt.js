@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const RECEIPT_TYPES = ['checkout', 'return'];
+
+// A receipt is numbered when the checkout or return is recorded and never changes afterwards,
+// every print shows the same number and amounts
+const receiptSchema = new mongoose.Schema({
+    receiptNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    type: {
+        type: String,
+        enum: RECEIPT_TYPES,
+        required: true
+    },
+    rental: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rental',
+        required: true
+    },
+    reader: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reader',
+        required: true
+    },
+    // Snapshot of what was printed
+    details: {
+        readerName: String,
+        cardNumber: String,
+        bookTitle: String,
+        bookAuthor: String,
+        copyBarcode: String,
+        issueDate: Date,
+        expectedReturnDate: Date,
+        actualReturnDate: Date,
+        rentalDays: Number,
+        outcome: String
+    },
+    amounts: {
+        depositAmount: { type: Number, default: 0 },
+        rentalFee: { type: Number, default: 0 },
+        discountAmount: { type: Number, default: 0 },
+        taxAmount: { type: Number, default: 0 },
+        fineAmount: { type: Number, default: 0 },
+        damageCharge: { type: Number, default: 0 },
+        replacementCharge: { type: Number, default: 0 },
+        depositRefunded: { type: Number, default: 0 },
+        balanceDue: { type: Number, default: 0 },
+        total: { type: Number, default: 0 }
+    },
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true });
+
+receiptSchema.index({ rental: 1, type: 1 }, { unique: true });
+receiptSchema.index({ reader: 1, createdAt: -1 });
+
+receiptSchema.statics.generateReceiptNumber = async function(session) {
+    const sequence = await Counter.next('receipt', session);
+    return `RC${String(sequence).padStart(8, '0')}`;
+};
+
+receiptSchema.statics.RECEIPT_TYPES = RECEIPT_TYPES;
+
+module.exports = mongoose.model('Receipt', receiptSchema);
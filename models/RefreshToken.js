@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Only a SHA-256 hash is stored, never the token itself
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // All tokens rotated from the same login share a family
+    family: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    replacedByHash: {
+        type: String
+    }
+}, { timestamps: true });
+
+refreshTokenSchema.virtual('isRevoked').get(function() {
+    return Boolean(this.revokedAt);
+});
+
+refreshTokenSchema.statics.hashToken = function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+refreshTokenSchema.statics.revokeFamily = function(family) {
+    return this.updateMany(
+        { family, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+};
+
+refreshTokenSchema.statics.revokeAllForUser = function(userId) {
+    return this.updateMany(
+        { user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+};
+
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1 });
+// Expired tokens are cleaned up by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
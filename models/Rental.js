@@ -1,4 +1,66 @@
 const mongoose = require('mongoose');
+const { calculateRentalDays, priceRentalDays } = require('../utils/pricing');
+const { roundMoney } = require('../utils/money');
+
+const fineAdjustmentSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['waive', 'adjust'],
+        required: true
+    },
+    previousAmount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    newAmount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    reason: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 500
+    },
+    adjustedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    adjustedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const renewalSchema = new mongoose.Schema({
+    renewedAt: {
+        type: Date,
+        default: Date.now
+    },
+    previousReturnDate: {
+        type: Date,
+        required: true
+    },
+    newReturnDate: {
+        type: Date,
+        required: true
+    },
+    previousDiscountAmount: {
+        type: Number,
+        min: 0
+    },
+    discountAmount: {
+        type: Number,
+        min: 0
+    },
+    renewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+});
 
 const rentalSchema = new mongoose.Schema({
     book: {
@@ -11,6 +73,15 @@ const rentalSchema = new mongoose.Schema({
         ref: 'Reader',
         required: true
     },
+    // Shared by the rentals lent together in one checkout
+    checkoutId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // Physical copy handed out, missing only on rentals created before copy tracking
+    copy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Copy'
+    },
     issueDate: {
         type: Date,
         required: true,
@@ -38,11 +109,43 @@ const rentalSchema = new mongoose.Schema({
         min: 0,
         default: 0
     },
+    // Snapshot of the fine policy inputs the current fine was computed from
+    fineDetails: {
+        category: String,
+        overdueDays: Number,
+        chargeableDays: Number,
+        finePerDay: Number,
+        fineMultiplier: Number,
+        gracePeriodDays: Number,
+        cap: Number,
+        uncappedAmount: Number,
+        amount: Number,
+        calculatedAt: Date
+    },
+    fineAdjustments: {
+        type: [fineAdjustmentSchema],
+        default: []
+    },
+    renewals: {
+        type: [renewalSchema],
+        default: []
+    },
     discountAmount: {
         type: Number,
         min: 0,
         default: 0
     },
+    // Tax rate in effect at checkout, applied to the fee after discount
+    taxRate: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    taxAmount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
     totalAmount: {
         type: Number,
         min: 0,
@@ -50,9 +153,35 @@ const rentalSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['active', 'returned', 'overdue'],
+        enum: ['active', 'returned', 'overdue', 'lost'],
         default: 'active'
     },
+    // How the loan ended; a damaged book is also returned
+    outcome: {
+        type: String,
+        enum: ['returned', 'damaged', 'lost']
+    },
+    conditionNotes: {
+        type: String,
+        maxlength: 500,
+        trim: true
+    },
+    damageCharge: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    replacementCharge: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    lostAt: {
+        type: Date
+    },
+    foundAt: {
+        type: Date
+    },
     notes: {
         type: String,
         maxlength: 500,
@@ -61,18 +190,28 @@ const rentalSchema = new mongoose.Schema({
 }, { timestamps: true });
 
 // Calculate total amount + update status
-rentalSchema.pre('save', function(next) {
+rentalSchema.methods.recalculate = function() {
     const endDate = this.actualReturnDate || new Date();
-    const rentalDays = Math.max(1, Math.ceil((endDate - this.issueDate) / (1000 * 60 * 60 * 24)));
-    
-    this.totalAmount = (this.rentalPricePerDay * rentalDays) + this.fineAmount - this.discountAmount;
+    const rentalDays = Math.max(1, calculateRentalDays(this.issueDate, endDate));
+
+    const priced = priceRentalDays(this, rentalDays);
+    this.taxAmount = priced.taxAmount;
+    this.totalAmount = roundMoney(priced.total + this.fineAmount);
     
-    if (this.actualReturnDate) {
+    if (this.outcome === 'lost') {
+        this.status = 'lost';
+    } else if (this.actualReturnDate) {
         this.status = 'returned';
     } else if (new Date() > this.expectedReturnDate) {
         this.status = 'overdue';
+    } else {
+        // A renewal can move an overdue rental back within its due date
+        this.status = 'active';
     }
-    
+};
+
+rentalSchema.pre('save', function(next) {
+    this.recalculate();
     next();
 });
 
@@ -85,10 +224,86 @@ rentalSchema.virtual('rentalDays').get(function() {
     return Math.ceil((endDate - this.issueDate) / (1000 * 60 * 60 * 24));
 });
 
-rentalSchema.methods.returnBook = function(fineAmount = 0, notes = '') {
+rentalSchema.virtual('overdueDays').get(function() {
+    const endDate = this.actualReturnDate || new Date();
+    const lateMs = endDate - this.expectedReturnDate;
+    return lateMs > 0 ? Math.ceil(lateMs / (1000 * 60 * 60 * 24)) : 0;
+});
+
+// Manual waivers and adjustments take precedence over the policy amount
+rentalSchema.methods.applyFinePolicy = function(policy, category) {
+    const calculation = policy.calculateFine(this, category);
+    this.fineDetails = { ...calculation, calculatedAt: new Date() };
+    if (this.fineAdjustments.length === 0) {
+        this.fineAmount = calculation.amount;
+    }
+    return this.fineAmount;
+};
+
+rentalSchema.methods.adjustFine = function(newAmount, reason, userId) {
+    this.fineAdjustments.push({
+        type: newAmount === 0 ? 'waive' : 'adjust',
+        previousAmount: this.fineAmount,
+        newAmount,
+        reason,
+        adjustedBy: userId
+    });
+    this.fineAmount = newAmount;
+    return this.save();
+};
+
+rentalSchema.virtual('renewalCount').get(function() {
+    return this.renewals.length;
+});
+
+rentalSchema.methods.renew = function(newReturnDate, discountAmount, userId) {
+    this.renewals.push({
+        previousReturnDate: this.expectedReturnDate,
+        newReturnDate,
+        previousDiscountAmount: this.discountAmount,
+        discountAmount,
+        renewedBy: userId
+    });
+    this.expectedReturnDate = newReturnDate;
+    this.discountAmount = discountAmount;
+    return this.save();
+};
+
+rentalSchema.virtual('isClosed').get(function() {
+    return this.status === 'returned' || this.status === 'lost';
+});
+
+// damage: { conditionNotes, damageCharge } when the book came back damaged
+rentalSchema.methods.returnBook = function(policy, category, notes = '', damage = null) {
     this.actualReturnDate = new Date();
-    this.fineAmount = fineAmount;
+    this.applyFinePolicy(policy, category);
     this.status = 'returned';
+    this.outcome = damage ? 'damaged' : 'returned';
+    if (damage) {
+        this.conditionNotes = damage.conditionNotes;
+        this.damageCharge = damage.damageCharge || 0;
+    }
+    if (notes) this.notes = notes;
+    return this.save();
+};
+
+// The loan ends when the loss is reported, the fine stops accruing there
+rentalSchema.methods.markLost = function(policy, category, replacementCharge, notes = '') {
+    const now = new Date();
+    this.actualReturnDate = now;
+    this.lostAt = now;
+    this.applyFinePolicy(policy, category);
+    this.outcome = 'lost';
+    this.replacementCharge = replacementCharge;
+    if (notes) this.notes = notes;
+    return this.save();
+};
+
+// Reverses a loss: the replacement charge no longer applies, fee and fine stay as charged
+rentalSchema.methods.markFound = function(notes = '') {
+    this.outcome = 'returned';
+    this.foundAt = new Date();
+    this.replacementCharge = 0;
     if (notes) this.notes = notes;
     return this.save();
 };
@@ -108,5 +323,7 @@ rentalSchema.statics.findOverdue = function() {
 rentalSchema.index({ reader: 1, issueDate: -1 });
 rentalSchema.index({ book: 1, issueDate: -1 });
 rentalSchema.index({ status: 1 });
+rentalSchema.index({ copy: 1, issueDate: -1 });
+rentalSchema.index({ checkoutId: 1 }, { sparse: true });
 
 module.exports = mongoose.model('Rental', rentalSchema);
\ No newline at end of file
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES, DEFAULT_ROLE } = require('../config/roles');
 
 const userSchema = new mongoose.Schema({
     username: {
@@ -23,6 +24,14 @@ const userSchema = new mongoose.Schema({
         minlength: [6, 'Password must be at least 6 characters long'],
         select: false
     },
+    role: {
+        type: String,
+        enum: {
+            values: ROLES,
+            message: 'Role must be one of: ' + ROLES.join(', ')
+        },
+        default: DEFAULT_ROLE
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -1,12 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
 const {
     register,
     login,
     refreshAccessToken,
+    logout,
+    logoutAll,
     getCurrentUser,
-    updatePassword
+    updatePassword,
+    getAllUsers,
+    updateUserRole
 } = require('../controllers/authController');
 
 /**
@@ -14,6 +19,7 @@ const {
  * /api/auth/register:
  *   post:
  *     summary: Register a new user
+ *     description: The first account becomes admin. Every later account gets the pending role, which has no access until an admin assigns a role.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -155,6 +161,7 @@ router.post('/login', login);
  * /api/auth/refresh:
  *   post:
  *     summary: Refresh access token
+ *     description: Rotates the refresh token. The submitted token is revoked and a new one is returned; presenting an already rotated token revokes every token issued from the same login.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -194,6 +201,10 @@ router.post('/login', login);
  *                     token:
  *                       type: string
  *                       example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                     refreshToken:
+ *                       type: string
+ *                       description: New refresh token, the submitted one can no longer be used
+ *                       example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
  *       400:
  *         description: Bad request - Missing refresh token
  *         content:
@@ -201,7 +212,7 @@ router.post('/login', login);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       401:
- *         description: Unauthorized - Invalid refresh token
+ *         description: Unauthorized - Invalid, revoked or reused refresh token
  *         content:
  *           application/json:
  *             schema:
@@ -209,6 +220,79 @@ router.post('/login', login);
  */
 router.post('/refresh', refreshAccessToken);
 
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out the current session
+ *     description: Revokes the given refresh token together with every token rotated from the same login.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Bad request - Missing refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/logout', logout);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out from all devices
+ *     description: Revokes every refresh token of the current user. Access tokens stay valid until they expire.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Logged out from all devices"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedSessions:
+ *                       type: integer
+ *                       example: 3
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/logout-all', authenticateToken, logoutAll);
+
 /**
  * @swagger
  * /api/auth/me:
@@ -353,4 +437,122 @@ router.get('/me', authenticateToken, getCurrentUser);
  */
 router.put('/password', authenticateToken, updatePassword);
 
+/**
+ * @swagger
+ * /api/auth/users:
+ *   get:
+ *     summary: Get all staff accounts (admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     users:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/users', authenticateToken, authorize(PERMISSIONS.USERS_MANAGE), getAllUsers);
+
+/**
+ * @swagger
+ * /api/auth/users/{id}/role:
+ *   put:
+ *     summary: Change the role of a staff account (admin only)
+ *     description: A changed role revokes all of the user's refresh tokens, so they have to log in again.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: User ID (MongoDB ObjectId)
+ *         example: "64f123456789abcdef123456"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, librarian, cashier, auditor, pending]
+ *                 example: "librarian"
+ *     responses:
+ *       200:
+ *         description: User role updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "User role updated successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Bad request - Unknown role or attempt to change own role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/users/:id/role', authenticateToken, authorize(PERMISSIONS.USERS_MANAGE), updateUserRole);
+
 module.exports = router;
\ No newline at end of file
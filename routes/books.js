@@ -1,16 +1,28 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
 const {
     getAllBooks,
+    searchBooks,
     getBookById,
+    getBookByIsbn,
     createBook,
     updateBook,
     deleteBook,
     getAvailableBooks,
-    getBooksByGenre
+    getBooksByGenre,
+    importBooks,
+    exportBooks,
+    reconcileInventory
 } = require('../controllers/bookController');
 
+// Import files arrive as the raw request body
+const importFile = express.text({
+    type: ['text/csv', 'application/x-ndjson', 'application/jsonl', 'application/x-jsonlines'],
+    limit: '5mb'
+});
+
 /**
  * @swagger
  * /api/books:
@@ -39,7 +51,7 @@ const {
  *         name: search
  *         schema:
  *           type: string
- *         description: Search by title or author
+ *         description: Full-text search over title, author, genre and description, ignoring case and diacritics. Results are sorted by relevance and carry a text score and highlighted matches. Use quotes for a phrase and a leading minus to exclude a word
  *         example: "gatsby"
  *       - in: query
  *         name: genre
@@ -77,7 +89,15 @@ const {
  *                     books:
  *                       type: array
  *                       items:
- *                         $ref: '#/components/schemas/Book'
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Book'
+ *                           - type: object
+ *                             properties:
+ *                               score:
+ *                                 type: number
+ *                                 description: Relevance, only when searching
+ *                               highlights:
+ *                                 $ref: '#/components/schemas/BookHighlights'
  *                     pagination:
  *                       $ref: '#/components/schemas/PaginationMeta'
  *             examples:
@@ -111,6 +131,180 @@ const {
  */
 router.get('/', getAllBooks);
 
+/**
+ * @swagger
+ * /api/books/search:
+ *   get:
+ *     summary: Search the catalog with facet counts
+ *     description: Returns a page of books and, computed in the same aggregation, counts per genre, author, availability, daily price range and publication decade. Each facet is counted with every filter except its own, so the counts show what selecting a value would return. Genre and author match whole values, ignoring case; repeat the parameter or separate values with commas to select several.
+ *     tags: [Books]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Full-text search, results are then sorted by relevance
+ *       - in: query
+ *         name: genre
+ *         schema:
+ *           type: string
+ *         example: "Fiction,Poetry"
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: available
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Lowest daily rental price (inclusive)
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Highest daily rental price (exclusive)
+ *       - in: query
+ *         name: yearFrom
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: yearTo
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: facetLimit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Most frequent genre and author values to return
+ *     responses:
+ *       200:
+ *         description: Books and facet counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     books:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Book'
+ *                           - type: object
+ *                             properties:
+ *                               score:
+ *                                 type: number
+ *                               highlights:
+ *                                 $ref: '#/components/schemas/BookHighlights'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/PaginationMeta'
+ *                     facets:
+ *                       $ref: '#/components/schemas/CatalogFacets'
+ *       400:
+ *         description: Invalid price or year filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/search', searchBooks);
+
+/**
+ * @swagger
+ * /api/books/export:
+ *   get:
+ *     summary: Export books as CSV, XLSX or NDJSON
+ *     description: Takes the same filters as the book list and streams every matching book, without pagination.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, ndjson]
+ *           default: csv
+ *         description: CSV and XLSX have one column per field, NDJSON has one full JSON document per line
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Full-text search
+ *       - in: query
+ *         name: genre
+ *         schema:
+ *           type: string
+ *         description: Filter by genre
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *         description: Filter by author
+ *       - in: query
+ *         name: available
+ *         schema:
+ *           type: string
+ *         description: Set to true for available books only
+ *     responses:
+ *       200:
+ *         description: The export file, sent as an attachment
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unsupported format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/export', authenticateToken, authorize(PERMISSIONS.DATA_EXPORT), exportBooks);
+
 /**
  * @swagger
  * /api/books/available:
@@ -217,6 +411,60 @@ router.get('/available', getAvailableBooks);
  */
 router.get('/genre/:genre', getBooksByGenre);
 
+/**
+ * @swagger
+ * /api/books/isbn/{isbn}:
+ *   get:
+ *     summary: Get book by ISBN
+ *     description: Accepts ISBN-10 or ISBN-13, with or without hyphens.
+ *     tags: [Books]
+ *     parameters:
+ *       - in: path
+ *         name: isbn
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ISBN-10 or ISBN-13
+ *         example: "978-0-7432-7356-5"
+ *     responses:
+ *       200:
+ *         description: Book retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     book:
+ *                       $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Invalid ISBN
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             examples:
+ *               invalid_isbn:
+ *                 summary: Checksum does not match
+ *                 value:
+ *                   success: false
+ *                   error:
+ *                     message: "Invalid ISBN: 978-0-7432-7356-4"
+ *                     status: 400
+ *       404:
+ *         description: Book not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/isbn/:isbn', getBookByIsbn);
+
 /**
  * @swagger
  * /api/books/{id}:
@@ -323,7 +571,6 @@ router.get('/:id', getBookById);
  *               - genre
  *               - depositAmount
  *               - rentalPricePerDay
- *               - totalCopies
  *             properties:
  *               title:
  *                 type: string
@@ -340,6 +587,17 @@ router.get('/:id', getBookById);
  *                 maxLength: 50
  *                 description: Book genre
  *                 example: "Fiction"
+ *               description:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 description: Short description, included in full-text search
+ *               publicationYear:
+ *                 type: integer
+ *                 example: 1925
+ *               isbn:
+ *                 type: string
+ *                 description: ISBN-10 or ISBN-13, stored as a hyphen-free ISBN-13. Books with an ISBN are de-duplicated by it instead of by title and author
+ *                 example: "978-0-7432-7356-5"
  *               depositAmount:
  *                 type: number
  *                 minimum: 0
@@ -353,8 +611,29 @@ router.get('/:id', getBookById);
  *               totalCopies:
  *                 type: integer
  *                 minimum: 1
- *                 description: Total copies available
+ *                 default: 1
+ *                 maximum: 500
+ *                 description: Number of copies to create with generated barcodes, ignored when copies is given
  *                 example: 5
+ *               copies:
+ *                 type: array
+ *                 description: Physical copies to register, e.g. with their scanned barcodes
+ *                 maxItems: 500
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     barcode:
+ *                       type: string
+ *                       example: "LIB-000123"
+ *                     accessionNumber:
+ *                       type: string
+ *                       example: "2024/0153"
+ *                     condition:
+ *                       type: string
+ *                       enum: [new, good, fair, poor, damaged]
+ *                     location:
+ *                       type: string
+ *                       example: "Shelf B3"
  *           examples:
  *             book_example:
  *               summary: Sample book creation
@@ -362,6 +641,7 @@ router.get('/:id', getBookById);
  *                 title: "The Great Gatsby"
  *                 author: "F. Scott Fitzgerald"
  *                 genre: "Fiction"
+ *                 isbn: "978-0-7432-7356-5"
  *                 depositAmount: 25.00
  *                 rentalPricePerDay: 2.50
  *                 totalCopies: 5
@@ -431,6 +711,12 @@ router.get('/:id', getBookById);
  *                   error:
  *                     message: "Access token is required"
  *                     status: 401
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       409:
  *         description: Conflict - Book already exists
  *         content:
@@ -452,7 +738,226 @@ router.get('/:id', getBookById);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', authenticateToken, createBook);
+router.post('/', authenticateToken, authorize(PERMISSIONS.BOOKS_WRITE), createBook);
+
+/**
+ * @swagger
+ * /api/books/import:
+ *   post:
+ *     summary: Import books from CSV or JSON lines
+ *     description: Every row is validated against the book schema. Rows with an ISBN update the book with that ISBN, rows without one update the book with the same title and author and no ISBN; other rows create a book with `copies` generated copies (default 1). Blank cells leave existing values unchanged. Invalid rows are reported and skipped, the other rows are still imported. CSV headers are matched ignoring case, spaces and underscores; unknown columns are ignored.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate and report what each row would do without saving anything
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl]
+ *         description: Overrides the format given by the Content-Type
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             title,author,genre,isbn,publicationYear,depositAmount,rentalPricePerDay,copies
+ *             The Great Gatsby,F. Scott Fitzgerald,Fiction,978-0-7432-7356-5,1925,25,2.5,3
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             {"title":"Кобзар","author":"Тарас Шевченко","genre":"Poetry","depositAmount":20,"rentalPricePerDay":1.5}
+ *     responses:
+ *       200:
+ *         description: Import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Import completed"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     dryRun:
+ *                       type: boolean
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         rows:
+ *                           type: integer
+ *                         created:
+ *                           type: integer
+ *                         updated:
+ *                           type: integer
+ *                         skipped:
+ *                           type: integer
+ *                           description: Rows matching a book without changes, or a deleted book
+ *                         invalid:
+ *                           type: integer
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           row:
+ *                             type: integer
+ *                             description: Line number in the file
+ *                           title:
+ *                             type: string
+ *                           action:
+ *                             type: string
+ *                             enum: [created, updated, skipped, invalid]
+ *                           bookId:
+ *                             type: string
+ *                           changes:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                           reason:
+ *                             type: string
+ *                           errors:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *       400:
+ *         description: Unsupported format, empty file or missing title/author columns
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/import', authenticateToken, authorize(PERMISSIONS.BOOKS_WRITE), importFile, importBooks);
+
+/**
+ * @swagger
+ * /api/books/reconcile:
+ *   post:
+ *     summary: Reconcile copies and copy counters with open rentals and holds (admin only)
+ *     description: Creates copies for books added before copy tracking, frees copies whose rental or hold is closed, assigns copies to open rentals and ready holds that have none, hands free copies to waiting holds and re-derives totalCopies and availableCopies. Every book that changed is reported.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only report differences without writing them
+ *         example: true
+ *     responses:
+ *       200:
+ *         description: Inventory reconciled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Inventory reconciled successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     dryRun:
+ *                       type: boolean
+ *                       example: false
+ *                     booksChecked:
+ *                       type: integer
+ *                       example: 120
+ *                     booksCorrected:
+ *                       type: integer
+ *                       example: 1
+ *                     corrections:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           book:
+ *                             type: string
+ *                             example: "64f123456789abcdef123456"
+ *                           title:
+ *                             type: string
+ *                           author:
+ *                             type: string
+ *                           previous:
+ *                             type: object
+ *                             properties:
+ *                               totalCopies:
+ *                                 type: integer
+ *                                 example: 5
+ *                               availableCopies:
+ *                                 type: integer
+ *                                 example: 2
+ *                           totalCopies:
+ *                             type: integer
+ *                             example: 5
+ *                           availableCopies:
+ *                             type: integer
+ *                             example: 3
+ *                           created:
+ *                             type: integer
+ *                             description: Copies generated for a book without copy records
+ *                             example: 0
+ *                           released:
+ *                             type: integer
+ *                             description: Copies put back on the shelf because their rental or hold was closed
+ *                             example: 1
+ *                           assigned:
+ *                             type: integer
+ *                             description: Open rentals and ready holds that were given a copy
+ *                             example: 0
+ *                           unassigned:
+ *                             type: integer
+ *                             description: Open rentals and ready holds left without a copy, the book is overbooked
+ *                             example: 0
+ *                           promotedHolds:
+ *                             type: integer
+ *                             example: 0
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/reconcile', authenticateToken, authorize(PERMISSIONS.BOOKS_RECONCILE), reconcileInventory);
 
 /**
  * @swagger
@@ -493,6 +998,17 @@ router.post('/', authenticateToken, createBook);
  *                 maxLength: 50
  *                 description: Book genre
  *                 example: "Classic Fiction"
+ *               description:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 description: Short description, included in full-text search
+ *               publicationYear:
+ *                 type: integer
+ *                 example: 1925
+ *               isbn:
+ *                 type: string
+ *                 description: ISBN-10 or ISBN-13, send an empty string to remove it
+ *                 example: "0-7432-7356-7"
  *               depositAmount:
  *                 type: number
  *                 minimum: 0
@@ -503,16 +1019,6 @@ router.post('/', authenticateToken, createBook);
  *                 minimum: 0
  *                 description: Rental price per day
  *                 example: 3.00
- *               totalCopies:
- *                 type: integer
- *                 minimum: 1
- *                 description: Total copies available
- *                 example: 7
- *               availableCopies:
- *                 type: integer
- *                 minimum: 0
- *                 description: Available copies (must not exceed total copies)
- *                 example: 5
  *               isActive:
  *                 type: boolean
  *                 description: Book active status
@@ -524,7 +1030,6 @@ router.post('/', authenticateToken, createBook);
  *                 title: "The Great Gatsby (Revised Edition)"
  *                 depositAmount: 30.00
  *                 rentalPricePerDay: 3.00
- *                 totalCopies: 7
  *     responses:
  *       200:
  *         description: Book updated successfully
@@ -583,6 +1088,12 @@ router.post('/', authenticateToken, createBook);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Book not found
  *         content:
@@ -604,7 +1115,7 @@ router.post('/', authenticateToken, createBook);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id', authenticateToken, updateBook);
+router.put('/:id', authenticateToken, authorize(PERMISSIONS.BOOKS_WRITE), updateBook);
 
 /**
  * @swagger
@@ -649,6 +1160,12 @@ router.put('/:id', authenticateToken, updateBook);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Book not found
  *         content:
@@ -670,6 +1187,6 @@ router.put('/:id', authenticateToken, updateBook);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', authenticateToken, deleteBook);
+router.delete('/:id', authenticateToken, authorize(PERMISSIONS.BOOKS_DELETE), deleteBook);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,336 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const {
+    getAllCopies,
+    getCopyByBarcode,
+    createCopy,
+    updateCopy
+} = require('../controllers/copyController');
+
+/**
+ * @swagger
+ * /api/copies:
+ *   get:
+ *     summary: Get physical copies with optional filtering and pagination
+ *     tags: [Copies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: book
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Filter by book ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [available, on_loan, on_hold, maintenance, lost, withdrawn]
+ *         description: Filter by copy status
+ *       - in: query
+ *         name: condition
+ *         schema:
+ *           type: string
+ *           enum: [new, good, fair, poor, damaged]
+ *         description: Filter by copy condition
+ *     responses:
+ *       200:
+ *         description: List of copies retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     copies:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Copy'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/PaginationMeta'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', authenticateToken, authorize(PERMISSIONS.RENTALS_READ), getAllCopies);
+
+/**
+ * @swagger
+ * /api/copies/barcode/{barcode}:
+ *   get:
+ *     summary: Look up a copy by its barcode
+ *     description: Returns the copy with its book and, if it is out, the rental or hold it belongs to.
+ *     tags: [Copies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Copy barcode, case-insensitive
+ *         example: "C00000042"
+ *     responses:
+ *       200:
+ *         description: Copy retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     copy:
+ *                       $ref: '#/components/schemas/Copy'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Copy not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/barcode/:barcode', authenticateToken, authorize(PERMISSIONS.RENTALS_READ), getCopyByBarcode);
+
+/**
+ * @swagger
+ * /api/copies:
+ *   post:
+ *     summary: Add copies to a book
+ *     description: Pass a barcode to register one scanned copy, or a count to create that many copies with generated barcodes. New copies go to waiting holds first.
+ *     tags: [Copies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bookId
+ *             properties:
+ *               bookId:
+ *                 type: string
+ *                 pattern: '^[0-9a-fA-F]{24}$'
+ *                 example: "64f123456789abcdef123456"
+ *               barcode:
+ *                 type: string
+ *                 example: "LIB-000123"
+ *               accessionNumber:
+ *                 type: string
+ *                 example: "2024/0153"
+ *               condition:
+ *                 type: string
+ *                 enum: [new, good, fair, poor, damaged]
+ *                 example: "new"
+ *               location:
+ *                 type: string
+ *                 example: "Shelf B3"
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *               count:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 500
+ *                 default: 1
+ *                 description: Number of copies to create when no barcode is given
+ *     responses:
+ *       201:
+ *         description: Copies created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Copies created successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     copies:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Copy'
+ *                     book:
+ *                       $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Bad request - Invalid data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Book not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Duplicate barcode or accession number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', authenticateToken, authorize(PERMISSIONS.BOOKS_WRITE), createCopy);
+
+/**
+ * @swagger
+ * /api/copies/{id}:
+ *   put:
+ *     summary: Update a copy's condition, location or status
+ *     description: Status can only be set to available, maintenance, lost or withdrawn, and not while the copy is on loan or on hold. The book's copy counters are recalculated.
+ *     tags: [Copies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Copy ID (MongoDB ObjectId)
+ *         example: "64f123456789abcdef123456"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               accessionNumber:
+ *                 type: string
+ *               condition:
+ *                 type: string
+ *                 enum: [new, good, fair, poor, damaged]
+ *               location:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [available, maintenance, lost, withdrawn]
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *           examples:
+ *             send_to_repair:
+ *               summary: Send a damaged copy to repair
+ *               value:
+ *                 condition: "damaged"
+ *                 status: "maintenance"
+ *                 notes: "Spine is torn"
+ *     responses:
+ *       200:
+ *         description: Copy updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Copy updated successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     copy:
+ *                       $ref: '#/components/schemas/Copy'
+ *                     book:
+ *                       $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Bad request - Invalid status or copy is on loan or on hold
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Copy not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id', authenticateToken, authorize(PERMISSIONS.BOOKS_WRITE), updateCopy);
+
+module.exports = router;
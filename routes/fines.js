@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const {
+    getFinePolicy,
+    updateFinePolicy
+} = require('../controllers/fineController');
+
+/**
+ * @swagger
+ * /api/fines/policy:
+ *   get:
+ *     summary: Get the fine policy used for overdue rentals
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Fine policy retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     policy:
+ *                       $ref: '#/components/schemas/FinePolicy'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/policy', authenticateToken, authorize(PERMISSIONS.RENTALS_READ), getFinePolicy);
+
+/**
+ * @swagger
+ * /api/fines/policy:
+ *   put:
+ *     summary: Update the fine policy (admin only)
+ *     description: Applies to fines calculated from now on, fines already charged on returned rentals are not recalculated.
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FinePolicy'
+ *           examples:
+ *             policy_example:
+ *               summary: Sample fine policy
+ *               value:
+ *                 finePerDay: 1.5
+ *                 gracePeriodDays: 2
+ *                 maxFine: 30
+ *                 capAtDeposit: true
+ *                 categoryOverrides:
+ *                   - category: "senior"
+ *                     finePerDay: 0.75
+ *     responses:
+ *       200:
+ *         description: Fine policy updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Fine policy updated successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     policy:
+ *                       $ref: '#/components/schemas/FinePolicy'
+ *       400:
+ *         description: Bad request - Invalid policy values
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/policy', authenticateToken, authorize(PERMISSIONS.FINES_MANAGE), updateFinePolicy);
+
+module.exports = router;
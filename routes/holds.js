@@ -0,0 +1,305 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const {
+    getAllHolds,
+    getBookQueue,
+    placeHold,
+    cancelHold
+} = require('../controllers/holdController');
+
+/**
+ * @swagger
+ * /api/holds:
+ *   get:
+ *     summary: Get holds with optional filtering and pagination
+ *     tags: [Holds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, ready, fulfilled, expired, cancelled]
+ *         description: Filter by hold status
+ *       - in: query
+ *         name: reader
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Filter by reader ID
+ *       - in: query
+ *         name: book
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Filter by book ID
+ *     responses:
+ *       200:
+ *         description: List of holds retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     holds:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Hold'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/PaginationMeta'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', authenticateToken, authorize(PERMISSIONS.RENTALS_READ), getAllHolds);
+
+/**
+ * @swagger
+ * /api/holds/book/{bookId}:
+ *   get:
+ *     summary: Get the hold queue of a book in pickup order
+ *     tags: [Holds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Book ID (MongoDB ObjectId)
+ *         example: "64f123456789abcdef123456"
+ *     responses:
+ *       200:
+ *         description: Hold queue retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     book:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         title:
+ *                           type: string
+ *                         availableCopies:
+ *                           type: integer
+ *                     holds:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Hold'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Book not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/book/:bookId', authenticateToken, authorize(PERMISSIONS.RENTALS_READ), getBookQueue);
+
+/**
+ * @swagger
+ * /api/holds:
+ *   post:
+ *     summary: Place a hold on a book that has no available copies
+ *     description: Holds are served first in, first out. When a copy is returned it is set aside for the reader at the head of the queue, who can then rent it until the pickup deadline; unclaimed copies roll to the next reader.
+ *     tags: [Holds]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bookId
+ *               - readerId
+ *             properties:
+ *               bookId:
+ *                 type: string
+ *                 pattern: '^[0-9a-fA-F]{24}$'
+ *                 example: "64f123456789abcdef123456"
+ *               readerId:
+ *                 type: string
+ *                 pattern: '^[0-9a-fA-F]{24}$'
+ *                 example: "64f123456789abcdef123456"
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Call before setting the copy aside"
+ *     responses:
+ *       201:
+ *         description: Hold placed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Hold placed successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     hold:
+ *                       $ref: '#/components/schemas/Hold'
+ *                     position:
+ *                       type: integer
+ *                       description: Position in the waiting queue
+ *                       example: 2
+ *       400:
+ *         description: Bad request - Book is available for rental
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Reader or book not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Reader already has a hold on this book
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', authenticateToken, authorize(PERMISSIONS.RENTALS_WRITE), placeHold);
+
+/**
+ * @swagger
+ * /api/holds/{id}:
+ *   delete:
+ *     summary: Cancel a hold
+ *     description: If a copy was already set aside for the hold it goes to the next reader in the queue.
+ *     tags: [Holds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Hold ID (MongoDB ObjectId)
+ *         example: "64f123456789abcdef123456"
+ *     responses:
+ *       200:
+ *         description: Hold cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Hold cancelled successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     hold:
+ *                       $ref: '#/components/schemas/Hold'
+ *       400:
+ *         description: Bad request - Hold is already closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Hold not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id', authenticateToken, authorize(PERMISSIONS.RENTALS_WRITE), cancelHold);
+
+module.exports = router;
@@ -0,0 +1,257 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const {
+    getLedgerEntries,
+    getReaderBalance,
+    createLedgerEntry
+} = require('../controllers/ledgerController');
+
+/**
+ * @swagger
+ * /api/ledger:
+ *   get:
+ *     summary: Get ledger entries with optional filtering and pagination
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: reader
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Filter by reader ID
+ *       - in: query
+ *         name: rental
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Filter by rental ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [deposit_collected, deposit_refunded, fee_charged, fine_charged, damage_charged, replacement_charged, fee_paid, fine_paid, write_off, charge_reversed, payment_refunded]
+ *         description: Filter by entry type
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries recorded at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries recorded at or before this time
+ *     responses:
+ *       200:
+ *         description: List of ledger entries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LedgerEntry'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/PaginationMeta'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', authenticateToken, authorize(PERMISSIONS.PAYMENTS_READ), getLedgerEntries);
+
+/**
+ * @swagger
+ * /api/ledger/balance/{readerId}:
+ *   get:
+ *     summary: Get a reader's outstanding balance and held deposits
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: readerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Reader ID
+ *     responses:
+ *       200:
+ *         description: Balance retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reader:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         fullName:
+ *                           type: string
+ *                     balance:
+ *                       $ref: '#/components/schemas/LedgerBalance'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Reader not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/balance/:readerId', authenticateToken, authorize(PERMISSIONS.PAYMENTS_READ), getReaderBalance);
+
+/**
+ * @swagger
+ * /api/ledger:
+ *   post:
+ *     summary: Record a payment, write-off or charge
+ *     description: Payments and write-offs cannot exceed the outstanding balance of the reader, or of the rental when one is given.
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - readerId
+ *               - type
+ *               - amount
+ *             properties:
+ *               readerId:
+ *                 type: string
+ *                 pattern: '^[0-9a-fA-F]{24}$'
+ *               rentalId:
+ *                 type: string
+ *                 pattern: '^[0-9a-fA-F]{24}$'
+ *               type:
+ *                 type: string
+ *                 enum: [deposit_collected, deposit_refunded, fee_charged, fine_charged, damage_charged, replacement_charged, fee_paid, fine_paid, write_off, charge_reversed, payment_refunded]
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *               method:
+ *                 type: string
+ *                 enum: [cash, card, transfer, deposit, other]
+ *                 description: Required for deposits and payments
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Required for write-offs
+ *           examples:
+ *             fine_payment:
+ *               summary: Fine paid by card
+ *               value:
+ *                 readerId: "507f1f77bcf86cd799439012"
+ *                 rentalId: "507f1f77bcf86cd799439013"
+ *                 type: "fine_paid"
+ *                 amount: 4.5
+ *                 method: "card"
+ *     responses:
+ *       201:
+ *         description: Ledger entry recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Ledger entry recorded successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entry:
+ *                       $ref: '#/components/schemas/LedgerEntry'
+ *                     balance:
+ *                       $ref: '#/components/schemas/LedgerBalance'
+ *       400:
+ *         description: Bad request - Invalid entry or amount exceeds the outstanding balance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Reader or rental not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', authenticateToken, authorize(PERMISSIONS.PAYMENTS_WRITE), createLedgerEntry);
+
+module.exports = router;
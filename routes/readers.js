@@ -1,14 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
 const {
     getAllReaders,
+    exportReaders,
     getReaderById,
+    getReaderByCard,
     createReader,
     updateReader,
     deleteReader,
     searchReaders,
-    getReadersByCategory
+    getReadersByCategory,
+    getReaderStanding,
+    suspendReader,
+    liftSuspension,
+    updateNotificationOptOut,
+    renewReaderMembership
 } = require('../controllers/readerController');
 
 /**
@@ -47,8 +55,7 @@ const {
  *         name: category
  *         schema:
  *           type: string
- *           enum: [regular, student, senior, employee]
- *         description: Filter by reader category
+ *         description: Filter by reader category code or ID
  *         example: "student"
  *     responses:
  *       200:
@@ -76,6 +83,12 @@ const {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -83,7 +96,69 @@ const {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', authenticateToken, getAllReaders);
+router.get('/', authenticateToken, authorize(PERMISSIONS.READERS_READ), getAllReaders);
+
+/**
+ * @swagger
+ * /api/readers/export:
+ *   get:
+ *     summary: Export readers as CSV, XLSX or NDJSON
+ *     description: Takes the same filters as the reader list and streams every matching active reader, without pagination.
+ *     tags: [Readers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, ndjson]
+ *           default: csv
+ *         description: CSV and XLSX have one column per field, NDJSON has one full JSON document per line
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name, phone or email
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category ID or code
+ *     responses:
+ *       200:
+ *         description: The export file, sent as an attachment
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unsupported format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/export', authenticateToken, authorize(PERMISSIONS.READERS_READ), authorize(PERMISSIONS.DATA_EXPORT), exportReaders);
 
 /**
  * @swagger
@@ -132,6 +207,12 @@ router.get('/', authenticateToken, getAllReaders);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -139,7 +220,7 @@ router.get('/', authenticateToken, getAllReaders);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/search', authenticateToken, searchReaders);
+router.get('/search', authenticateToken, authorize(PERMISSIONS.READERS_READ), searchReaders);
 
 /**
  * @swagger
@@ -155,8 +236,7 @@ router.get('/search', authenticateToken, searchReaders);
  *         required: true
  *         schema:
  *           type: string
- *           enum: [regular, student, senior, employee]
- *         description: Reader category
+ *         description: Reader category code or ID
  *         example: "student"
  *     responses:
  *       200:
@@ -182,6 +262,12 @@ router.get('/search', authenticateToken, searchReaders);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -189,7 +275,60 @@ router.get('/search', authenticateToken, searchReaders);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/category/:category', authenticateToken, getReadersByCategory);
+router.get('/category/:category', authenticateToken, authorize(PERMISSIONS.READERS_READ), getReadersByCategory);
+
+/**
+ * @swagger
+ * /api/readers/card/{cardNumber}:
+ *   get:
+ *     summary: Get reader by library card number
+ *     tags: [Readers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cardNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Scanned library card number
+ *         example: "R00000042"
+ *     responses:
+ *       200:
+ *         description: Reader retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reader:
+ *                       $ref: '#/components/schemas/Reader'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Reader not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/card/:cardNumber', authenticateToken, authorize(PERMISSIONS.READERS_READ), getReaderByCard);
 
 /**
  * @swagger
@@ -236,6 +375,12 @@ router.get('/category/:category', authenticateToken, getReadersByCategory);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Reader not found
  *         content:
@@ -249,7 +394,380 @@ router.get('/category/:category', authenticateToken, getReadersByCategory);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/:id', authenticateToken, getReaderById);
+router.get('/:id', authenticateToken, authorize(PERMISSIONS.READERS_READ), getReaderById);
+
+/**
+ * @swagger
+ * /api/readers/{id}/standing:
+ *   get:
+ *     summary: Check whether a reader may borrow
+ *     description: Lists every reason that blocks checkout - suspension, overdue rentals, an outstanding balance above the limit, an expired membership, or the rental limit.
+ *     tags: [Readers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Reader ID (MongoDB ObjectId)
+ *         example: "64f123456789abcdef123456"
+ *     responses:
+ *       200:
+ *         description: Reader standing retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reader:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         fullName:
+ *                           type: string
+ *                     canBorrow:
+ *                       type: boolean
+ *                       example: false
+ *                     reasons:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BlockingReason'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Reader not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/standing', authenticateToken, authorize(PERMISSIONS.READERS_READ), getReaderStanding);
+
+/**
+ * @swagger
+ * /api/readers/{id}/suspension:
+ *   post:
+ *     summary: Suspend a reader from borrowing
+ *     tags: [Readers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Reader ID (MongoDB ObjectId)
+ *         example: "64f123456789abcdef123456"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Damaged two books"
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *                 description: End of the suspension, open-ended when omitted
+ *                 example: "2024-02-01T00:00:00.000Z"
+ *     responses:
+ *       200:
+ *         description: Reader suspended successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Reader suspended successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reader:
+ *                       $ref: '#/components/schemas/Reader'
+ *       400:
+ *         description: Bad request - Missing reason or end date in the past
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Reader not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Lift a reader's suspension
+ *     tags: [Readers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Reader ID (MongoDB ObjectId)
+ *         example: "64f123456789abcdef123456"
+ *     responses:
+ *       200:
+ *         description: Suspension lifted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Suspension lifted successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reader:
+ *                       $ref: '#/components/schemas/Reader'
+ *       400:
+ *         description: Reader is not suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Reader not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/suspension', authenticateToken, authorize(PERMISSIONS.READERS_WRITE), suspendReader);
+router.delete('/:id/suspension', authenticateToken, authorize(PERMISSIONS.READERS_WRITE), liftSuspension);
+
+/**
+ * @swagger
+ * /api/readers/{id}/membership/renew:
+ *   post:
+ *     summary: Renew a reader's membership
+ *     description: Extends the membership by the category's term, counted from the current expiry or from today once it has lapsed. The fee is charged to the reader's ledger and recorded as paid when a payment method is given.
+ *     tags: [Readers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Reader ID (MongoDB ObjectId)
+ *         example: "64f123456789abcdef123456"
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fee:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Renewal fee, defaults to the category's membership fee
+ *                 example: 10
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cash, card, transfer, other]
+ *                 description: How the fee was paid, leave out to keep it outstanding
+ *                 example: "card"
+ *     responses:
+ *       200:
+ *         description: Membership renewed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Membership renewed successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reader:
+ *                       $ref: '#/components/schemas/Reader'
+ *                     ledgerEntries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LedgerEntry'
+ *       400:
+ *         description: Bad request - Invalid fee or payment method
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Reader not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/membership/renew', authenticateToken, authorize(PERMISSIONS.READERS_WRITE), renewReaderMembership);
+
+/**
+ * @swagger
+ * /api/readers/{id}/notification-opt-out:
+ *   put:
+ *     summary: Set the notifications a reader does not want
+ *     description: Opt the reader out of whole channels (email, sms) or of notification types on every channel. A list left out keeps its current value, an empty list opts back in. Messages a reader opted out of are recorded as skipped in the delivery history.
+ *     tags: [Readers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Reader ID (MongoDB ObjectId)
+ *         example: "64f123456789abcdef123456"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               channels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [email, sms]
+ *                 example: ["sms"]
+ *               types:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [due_soon, overdue, hold_ready]
+ *                 example: ["due_soon"]
+ *     responses:
+ *       200:
+ *         description: Notification preferences updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Notification preferences updated successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reader:
+ *                       $ref: '#/components/schemas/Reader'
+ *       400:
+ *         description: Bad request - Unknown channel or notification type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Reader not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id/notification-opt-out', authenticateToken, authorize(PERMISSIONS.READERS_WRITE), updateNotificationOptOut);
 
 /**
  * @swagger
@@ -302,9 +820,7 @@ router.get('/:id', authenticateToken, getReaderById);
  *                 example: "john.smith@example.com"
  *               category:
  *                 type: string
- *                 enum: [regular, student, senior, employee]
- *                 default: regular
- *                 description: Reader category (affects discount percentage)
+ *                 description: Reader category code or ID (sets discount, rental limit, loan period and fine multiplier), the default category when omitted
  *                 example: "student"
  *           examples:
  *             reader_example:
@@ -348,6 +864,12 @@ router.get('/:id', authenticateToken, getReaderById);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       409:
  *         description: Conflict - Reader with phone/email already exists
  *         content:
@@ -361,7 +883,7 @@ router.get('/:id', authenticateToken, getReaderById);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', authenticateToken, createReader);
+router.post('/', authenticateToken, authorize(PERMISSIONS.READERS_WRITE), createReader);
 
 /**
  * @swagger
@@ -418,8 +940,7 @@ router.post('/', authenticateToken, createReader);
  *                 example: "john.smith.updated@example.com"
  *               category:
  *                 type: string
- *                 enum: [regular, student, senior, employee]
- *                 description: Reader category (affects discount percentage)
+ *                 description: Reader category code or ID (sets discount, rental limit, loan period and fine multiplier)
  *                 example: "employee"
  *               isActive:
  *                 type: boolean
@@ -463,6 +984,12 @@ router.post('/', authenticateToken, createReader);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Reader not found
  *         content:
@@ -482,7 +1009,7 @@ router.post('/', authenticateToken, createReader);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id', authenticateToken, updateReader);
+router.put('/:id', authenticateToken, authorize(PERMISSIONS.READERS_WRITE), updateReader);
 
 /**
  * @swagger
@@ -521,6 +1048,12 @@ router.put('/:id', authenticateToken, updateReader);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Reader not found
  *         content:
@@ -534,6 +1067,6 @@ router.put('/:id', authenticateToken, updateReader);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', authenticateToken, deleteReader);
+router.delete('/:id', authenticateToken, authorize(PERMISSIONS.READERS_DELETE), deleteReader);
 
 module.exports = router;
\ No newline at end of file
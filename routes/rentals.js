@@ -1,11 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
 const {
     getAllRentals,
+    exportRentals,
     getRentalById,
+    getCheckoutReceipt,
+    getReturnReceipt,
     createRental,
+    checkoutRentals,
+    quoteRental,
     returnBook,
+    reportLost,
+    reportFound,
+    renewRental,
+    waiveFine,
+    adjustFine,
     getActiveRentals,
     getOverdueRentals,
     getReaderRentals,
@@ -42,7 +53,7 @@ const {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [active, returned, overdue]
+ *           enum: [active, returned, overdue, lost]
  *         description: Filter by rental status
  *         example: "active"
  *       - in: query
@@ -106,6 +117,12 @@ const {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -113,7 +130,74 @@ const {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', authenticateToken, getAllRentals);
+router.get('/', authenticateToken, authorize(PERMISSIONS.RENTALS_READ), getAllRentals);
+
+/**
+ * @swagger
+ * /api/rentals/export:
+ *   get:
+ *     summary: Export rentals as CSV, XLSX or NDJSON
+ *     description: Takes the same filters as the rental list and streams every matching rental, newest first, without pagination.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, ndjson]
+ *           default: csv
+ *         description: CSV and XLSX have one column per field, NDJSON has one full JSON document per line
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by status (active, returned, overdue, lost)
+ *       - in: query
+ *         name: reader
+ *         schema:
+ *           type: string
+ *         description: Filter by reader ID
+ *       - in: query
+ *         name: book
+ *         schema:
+ *           type: string
+ *         description: Filter by book ID
+ *     responses:
+ *       200:
+ *         description: The export file, sent as an attachment
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unsupported format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/export', authenticateToken, authorize(PERMISSIONS.RENTALS_READ), authorize(PERMISSIONS.DATA_EXPORT), exportRentals);
 
 /**
  * @swagger
@@ -164,6 +248,12 @@ router.get('/', authenticateToken, getAllRentals);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -171,7 +261,7 @@ router.get('/', authenticateToken, getAllRentals);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/active', authenticateToken, getActiveRentals);
+router.get('/active', authenticateToken, authorize(PERMISSIONS.RENTALS_READ), getActiveRentals);
 
 /**
  * @swagger
@@ -224,6 +314,12 @@ router.get('/active', authenticateToken, getActiveRentals);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -231,7 +327,7 @@ router.get('/active', authenticateToken, getActiveRentals);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/overdue', authenticateToken, getOverdueRentals);
+router.get('/overdue', authenticateToken, authorize(PERMISSIONS.RENTALS_READ), getOverdueRentals);
 
 /**
  * @swagger
@@ -277,6 +373,12 @@ router.get('/overdue', authenticateToken, getOverdueRentals);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -284,7 +386,7 @@ router.get('/overdue', authenticateToken, getOverdueRentals);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/stats', authenticateToken, getRentalStats);
+router.get('/stats', authenticateToken, authorize(PERMISSIONS.RENTALS_READ), getRentalStats);
 
 /**
  * @swagger
@@ -360,6 +462,12 @@ router.get('/stats', authenticateToken, getRentalStats);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Reader not found
  *         content:
@@ -373,7 +481,7 @@ router.get('/stats', authenticateToken, getRentalStats);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/reader/:readerId', authenticateToken, getReaderRentals);
+router.get('/reader/:readerId', authenticateToken, authorize(PERMISSIONS.RENTALS_READ), getReaderRentals);
 
 /**
  * @swagger
@@ -427,6 +535,12 @@ router.get('/reader/:readerId', authenticateToken, getReaderRentals);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Rental not found
  *         content:
@@ -440,7 +554,123 @@ router.get('/reader/:readerId', authenticateToken, getReaderRentals);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/:id', authenticateToken, getRentalById);
+router.get('/:id', authenticateToken, authorize(PERMISSIONS.RENTALS_READ), getRentalById);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/receipt.pdf:
+ *   get:
+ *     summary: Get the checkout receipt of a rental as PDF
+ *     description: Shows the deposit paid and the estimated fee, discount and tax for the loan period. The receipt is numbered and stored at checkout; every print shows the same number and amounts.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Rental ID (MongoDB ObjectId)
+ *     responses:
+ *       200:
+ *         description: Receipt PDF
+ *         headers:
+ *           X-Receipt-Number:
+ *             schema:
+ *               type: string
+ *               example: "RC00000042"
+ *             description: Sequential receipt number
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid rental ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Rental or checkout receipt not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/receipt.pdf', authenticateToken, authorize(PERMISSIONS.RENTALS_READ), getCheckoutReceipt);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/return-receipt.pdf:
+ *   get:
+ *     summary: Get the return receipt of a rental as PDF
+ *     description: Shows the fee, discount, tax, fine and any damage or replacement charge, the deposit refunded and the balance still due. The receipt is numbered and stored when the book is returned or reported lost.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Rental ID (MongoDB ObjectId)
+ *     responses:
+ *       200:
+ *         description: Receipt PDF
+ *         headers:
+ *           X-Receipt-Number:
+ *             schema:
+ *               type: string
+ *               example: "RC00000042"
+ *             description: Sequential receipt number
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid rental ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Rental not found, or the book has not been returned yet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/return-receipt.pdf', authenticateToken, authorize(PERMISSIONS.RENTALS_READ), getReturnReceipt);
 
 /**
  * @swagger
@@ -459,7 +689,6 @@ router.get('/:id', authenticateToken, getRentalById);
  *             required:
  *               - readerId
  *               - bookId
- *               - expectedReturnDate
  *             properties:
  *               readerId:
  *                 type: string
@@ -474,8 +703,17 @@ router.get('/:id', authenticateToken, getRentalById);
  *               expectedReturnDate:
  *                 type: string
  *                 format: date-time
- *                 description: Expected return date (ISO 8601 format)
+ *                 description: Expected return date (ISO 8601 format), at most the reader category's loan period away. Defaults to the end of that loan period
  *                 example: "2024-01-15T10:00:00.000Z"
+ *               barcode:
+ *                 type: string
+ *                 description: Barcode of the scanned copy, any available copy is used when omitted
+ *                 example: "C00000042"
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cash, card, transfer, other]
+ *                 default: cash
+ *                 description: How the deposit was paid, recorded in the ledger
  *           examples:
  *             rental_example:
  *               summary: Sample rental creation
@@ -483,6 +721,7 @@ router.get('/:id', authenticateToken, getRentalById);
  *                 readerId: "64f123456789abcdef123456"
  *                 bookId: "64f123456789abcdef123456"
  *                 expectedReturnDate: "2024-01-15T10:00:00.000Z"
+ *                 barcode: "C00000042"
  *     responses:
  *       201:
  *         description: Rental created successfully
@@ -546,6 +785,12 @@ router.get('/:id', authenticateToken, getRentalById);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Reader or book not found
  *         content:
@@ -559,54 +804,66 @@ router.get('/:id', authenticateToken, getRentalById);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', authenticateToken, createRental);
+router.post('/', authenticateToken, authorize(PERMISSIONS.RENTALS_WRITE), createRental);
 
 /**
  * @swagger
- * /api/rentals/{id}/return:
- *   put:
- *     summary: Return a rented book
+ * /api/rentals/checkout:
+ *   post:
+ *     summary: Lend several books to one reader in a single checkout
+ *     description: Availability and the reader's standing (including the rental limit for the whole set) are checked for every book first. All rentals are then created in one transaction - if any book fails, none is lent.
  *     tags: [Rentals]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *           pattern: '^[0-9a-fA-F]{24}$'
- *         description: Rental ID (MongoDB ObjectId)
- *         example: "64f123456789abcdef123456"
  *     requestBody:
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - readerId
+ *               - items
  *             properties:
- *               fineAmount:
- *                 type: number
- *                 minimum: 0
- *                 description: Fine amount if book is overdue or damaged
- *                 example: 5.00
- *               notes:
+ *               readerId:
  *                 type: string
- *                 maxLength: 500
- *                 description: Additional notes about the return
- *                 example: "Book returned in good condition"
+ *                 pattern: '^[0-9a-fA-F]{24}$'
+ *               items:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - bookId
+ *                   properties:
+ *                     bookId:
+ *                       type: string
+ *                       pattern: '^[0-9a-fA-F]{24}$'
+ *                     barcode:
+ *                       type: string
+ *                       description: Barcode of the scanned copy, any available copy is used when omitted
+ *               expectedReturnDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Due date for every book, defaults to the end of the reader category's loan period
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cash, card, transfer, other]
+ *                 default: cash
+ *                 description: How the deposits were paid
  *           examples:
- *             return_with_fine:
- *               summary: Return with fine
- *               value:
- *                 fineAmount: 5.00
- *                 notes: "Book was returned 2 days late"
- *             return_normal:
- *               summary: Normal return
+ *             checkout_example:
+ *               summary: Two scanned books
  *               value:
- *                 notes: "Book returned in good condition"
+ *                 readerId: "64f123456789abcdef123456"
+ *                 items:
+ *                   - bookId: "64f123456789abcdef123457"
+ *                     barcode: "C00000042"
+ *                   - bookId: "64f123456789abcdef123458"
+ *                 paymentMethod: "card"
  *     responses:
- *       200:
- *         description: Book returned successfully
+ *       201:
+ *         description: Checkout completed successfully
  *         content:
  *           application/json:
  *             schema:
@@ -617,52 +874,699 @@ router.post('/', authenticateToken, createRental);
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Book returned successfully"
+ *                   example: "Checkout completed successfully"
  *                 data:
  *                   type: object
  *                   properties:
- *                     rental:
- *                       allOf:
- *                         - $ref: '#/components/schemas/Rental'
- *                         - type: object
- *                           properties:
- *                             book:
- *                               $ref: '#/components/schemas/Book'
- *                             reader:
- *                               $ref: '#/components/schemas/Reader'
+ *                     receipt:
+ *                       $ref: '#/components/schemas/CheckoutReceipt'
+ *                     rentals:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Rental'
  *       400:
- *         description: Bad request - Book already returned or invalid data
+ *         description: Bad request - A book is unavailable, listed twice, or the reader may not borrow (see error.details)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *             examples:
- *               already_returned:
- *                 summary: Book already returned
- *                 value:
- *                   success: false
- *                   error:
- *                     message: "Book has already been returned"
- *                     status: 400
  *       401:
  *         description: Unauthorized - Missing or invalid token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Rental not found
+ *         description: Reader or book not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       500:
- *         description: Server error
+ *       409:
+ *         description: Conflict - A copy or hold was taken by another checkout in the meantime
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/checkout', authenticateToken, authorize(PERMISSIONS.RENTALS_WRITE), checkoutRentals);
+
+/**
+ * @swagger
+ * /api/rentals/quote:
+ *   post:
+ *     summary: Price a checkout without creating a rental
+ *     description: Uses the same pricing as checkout. The deposit is taken at checkout; the rental fee is charged on return for the days actually kept, so the quoted fee assumes a return on the due date.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - readerId
+ *             properties:
+ *               readerId:
+ *                 type: string
+ *                 pattern: '^[0-9a-fA-F]{24}$'
+ *               bookId:
+ *                 type: string
+ *                 pattern: '^[0-9a-fA-F]{24}$'
+ *                 description: Single book to price
+ *               bookIds:
+ *                 type: array
+ *                 description: Several books to price together, takes precedence over bookId
+ *                 items:
+ *                   type: string
+ *                   pattern: '^[0-9a-fA-F]{24}$'
+ *               expectedReturnDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to the end of the reader category's loan period
+ *           examples:
+ *             quote_example:
+ *               summary: Two books for two weeks
+ *               value:
+ *                 readerId: "64f123456789abcdef123456"
+ *                 bookIds: ["64f123456789abcdef123457", "64f123456789abcdef123458"]
+ *                 expectedReturnDate: "2024-01-15T10:00:00.000Z"
+ *     responses:
+ *       200:
+ *         description: Quote calculated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/RentalQuote'
+ *       400:
+ *         description: Bad request - No books or invalid due date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Reader or book not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/quote', authenticateToken, authorize(PERMISSIONS.RENTALS_READ), quoteRental);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/return:
+ *   put:
+ *     summary: Return a rented book
+ *     description: The fine is calculated from the fine policy, use the fine waive/adjust endpoints to change it.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Rental ID (MongoDB ObjectId)
+ *         example: "64f123456789abcdef123456"
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Additional notes about the return
+ *                 example: "Book returned in good condition"
+ *               outcome:
+ *                 type: string
+ *                 enum: [returned, damaged]
+ *                 default: returned
+ *                 description: Lost books are reported through /api/rentals/{id}/lost
+ *               conditionNotes:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Required for damaged books, also added to the copy's notes
+ *                 example: "Water damage on the cover"
+ *               damageCharge:
+ *                 type: number
+ *                 minimum: 0
+ *                 default: 0
+ *                 description: Charged to the reader and settled from the deposit
+ *                 example: 8
+ *               condition:
+ *                 type: string
+ *                 enum: [new, good, fair, poor, damaged]
+ *                 default: damaged
+ *                 description: New condition of a damaged copy
+ *               copyStatus:
+ *                 type: string
+ *                 enum: [maintenance, available, withdrawn]
+ *                 default: maintenance
+ *                 description: Where a damaged copy goes; only available copies are handed to waiting holds
+ *           examples:
+ *             return_late:
+ *               summary: Late return
+ *               value:
+ *                 notes: "Book was returned 2 days late"
+ *             return_normal:
+ *               summary: Normal return
+ *               value:
+ *                 notes: "Book returned in good condition"
+ *             return_damaged:
+ *               summary: Damaged return
+ *               value:
+ *                 outcome: "damaged"
+ *                 conditionNotes: "Water damage on the cover"
+ *                 damageCharge: 8
+ *     responses:
+ *       200:
+ *         description: Book returned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Book returned successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     rental:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/Rental'
+ *                         - type: object
+ *                           properties:
+ *                             book:
+ *                               $ref: '#/components/schemas/Book'
+ *                             reader:
+ *                               $ref: '#/components/schemas/Reader'
+ *       400:
+ *         description: Bad request - Book already returned or invalid data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             examples:
+ *               already_returned:
+ *                 summary: Book already returned
+ *                 value:
+ *                   success: false
+ *                   error:
+ *                     message: "Book has already been returned"
+ *                     status: 400
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Rental not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id/return', authenticateToken, authorize(PERMISSIONS.RENTALS_RETURN), returnBook);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/lost:
+ *   post:
+ *     summary: Report a rented book as lost
+ *     description: Ends the rental, fixes the fine at today's amount and charges a replacement (by default the deposit plus LOST_BOOK_FEE). Charges are settled from the deposit; the copy is marked lost and no longer counts towards the book's total copies.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Rental ID (MongoDB ObjectId)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               replacementCharge:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Overrides the default replacement charge
+ *                 example: 25
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Book reported lost
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Book reported lost"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     rental:
+ *                       $ref: '#/components/schemas/Rental'
+ *       400:
+ *         description: Bad request - Rental already closed or invalid charge
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Rental not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: No copy is recorded for this rental
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/lost', authenticateToken, authorize(PERMISSIONS.RENTALS_RETURN), reportLost);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/found:
+ *   post:
+ *     summary: Record that a lost book was found
+ *     description: Puts the copy back into stock (or to the next waiting hold), reverses the replacement charge and refunds the part of it that was already paid. Rental fee and fine stay charged.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Rental ID (MongoDB ObjectId)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refundMethod:
+ *                 type: string
+ *                 enum: [cash, card, transfer, other]
+ *                 default: cash
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Lost book recorded as found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Lost book recorded as found"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     rental:
+ *                       $ref: '#/components/schemas/Rental'
+ *                     ledgerEntries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LedgerEntry'
+ *       400:
+ *         description: Rental was not reported lost
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Rental not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The copy was already put back into the inventory
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/found', authenticateToken, authorize(PERMISSIONS.RENTALS_RETURN), reportFound);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/renew:
+ *   post:
+ *     summary: Renew a rental and extend its due date
+ *     description: The loan is re-priced from the issue date to the new due date with the reader's current discount. Renewal is refused once the maximum number of renewals is reached, when the rental is overdue by more than the allowed number of days, or when another reader has a hold on the book. Late days at the time of renewal are not fined.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Rental ID (MongoDB ObjectId)
+ *         example: "64f123456789abcdef123456"
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expectedReturnDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: New due date, at most and by default the current due date plus the renewal period
+ *                 example: "2024-01-29T10:00:00.000Z"
+ *     responses:
+ *       200:
+ *         description: Rental renewed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Rental renewed successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     rental:
+ *                       $ref: '#/components/schemas/Rental'
+ *                     renewalsLeft:
+ *                       type: integer
+ *                       example: 1
+ *       400:
+ *         description: Bad request - Rental returned, renewal limit reached, too far overdue, or invalid date or one beyond the renewal period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             examples:
+ *               renewal_limit:
+ *                 summary: Renewal limit reached
+ *                 value:
+ *                   success: false
+ *                   error:
+ *                     message: "Rental has reached the maximum number of renewals (2)"
+ *                     status: 400
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Rental not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Another reader has a hold on this book
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/renew', authenticateToken, authorize(PERMISSIONS.RENTALS_WRITE), renewRental);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/fine/waive:
+ *   post:
+ *     summary: Waive the fine of a rental
+ *     description: The change and its reason are appended to the rental's fineAdjustments log. Adjusted fines are no longer recalculated from the fine policy.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Rental ID (MongoDB ObjectId)
+ *         example: "64f123456789abcdef123456"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Why the fine is being changed
+ *                 example: "Library was closed for two days"
+ *               refundMethod:
+ *                 type: string
+ *                 enum: [cash, card, transfer, other]
+ *                 default: cash
+ *                 description: How the part of the fine already paid is refunded when the rental is closed
+ *     responses:
+ *       200:
+ *         description: Fine waived successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Fine waived successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     rental:
+ *                       $ref: '#/components/schemas/Rental'
+ *       400:
+ *         description: Bad request - Missing reason or invalid amount
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Rental not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/fine/waive', authenticateToken, authorize(PERMISSIONS.FINES_ADJUST), waiveFine);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/fine/adjust:
+ *   post:
+ *     summary: Adjust the fine of a rental to a new amount
+ *     description: The change and its reason are appended to the rental's fineAdjustments log. Adjusted fines are no longer recalculated from the fine policy.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Rental ID (MongoDB ObjectId)
+ *         example: "64f123456789abcdef123456"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: New fine amount
+ *                 example: 2.00
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Why the fine is being changed
+ *                 example: "Library was closed for two days"
+ *               refundMethod:
+ *                 type: string
+ *                 enum: [cash, card, transfer, other]
+ *                 default: cash
+ *                 description: How the part of the fine already paid is refunded when the rental is closed
+ *     responses:
+ *       200:
+ *         description: Fine adjusted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Fine adjusted successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     rental:
+ *                       $ref: '#/components/schemas/Rental'
+ *       400:
+ *         description: Bad request - Missing reason or invalid amount
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Rental not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id/return', authenticateToken, returnBook);
+router.post('/:id/fine/adjust', authenticateToken, authorize(PERMISSIONS.FINES_ADJUST), adjustFine);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,740 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const {
+    getRevenue,
+    getMostRentedBooks,
+    getNeverRentedBooks,
+    getLoanLength,
+    getCopyTurnover,
+    getBookDemand,
+    getOverdueAgingReport,
+    exportOverdueAging
+} = require('../controllers/reportController');
+
+/**
+ * @swagger
+ * /api/reports/revenue:
+ *   get:
+ *     summary: Revenue per day, week or month with breakdowns and comparison
+ *     description: Built from the ledger. Each period reports rental fees, membership fees, fines, damage charges, write-offs, discounts given, payments and deposits. Optionally split by the book's genre, the reader's current category or the staff user who recorded the entry; entries without a rental (membership fees) have no genre. Totals are compared with the period of the same length just before the range. Periods start at midnight in REPORT_TIMEZONE, weeks on Monday.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [genre, category, staff]
+ *     responses:
+ *       200:
+ *         description: Revenue report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     range:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/ReportRange'
+ *                         - type: object
+ *                           properties:
+ *                             interval:
+ *                               type: string
+ *                             timezone:
+ *                               type: string
+ *                             groupBy:
+ *                               type: string
+ *                               nullable: true
+ *                     totals:
+ *                       $ref: '#/components/schemas/RevenueMetrics'
+ *                     groups:
+ *                       type: array
+ *                       description: Totals per group, only with groupBy
+ *                       items:
+ *                         allOf:
+ *                           - type: object
+ *                             properties:
+ *                               key:
+ *                                 type: string
+ *                                 nullable: true
+ *                               label:
+ *                                 type: string
+ *                                 nullable: true
+ *                           - $ref: '#/components/schemas/RevenueMetrics'
+ *                     series:
+ *                       type: array
+ *                       description: One entry per period with activity, and per group with groupBy
+ *                       items:
+ *                         allOf:
+ *                           - type: object
+ *                             properties:
+ *                               period:
+ *                                 type: string
+ *                                 format: date-time
+ *                               group:
+ *                                 type: object
+ *                                 properties:
+ *                                   key:
+ *                                     type: string
+ *                                     nullable: true
+ *                                   label:
+ *                                     type: string
+ *                                     nullable: true
+ *                           - $ref: '#/components/schemas/RevenueMetrics'
+ *                     comparison:
+ *                       type: object
+ *                       properties:
+ *                         from:
+ *                           type: string
+ *                           format: date-time
+ *                         to:
+ *                           type: string
+ *                           format: date-time
+ *                         totals:
+ *                           $ref: '#/components/schemas/RevenueMetrics'
+ *                         change:
+ *                           type: object
+ *                           description: Per metric, the difference and the percentage change (null when the previous value is 0)
+ *                           additionalProperties:
+ *                             type: object
+ *                             properties:
+ *                               amount:
+ *                                 type: number
+ *                               percent:
+ *                                 type: number
+ *                                 nullable: true
+ *       400:
+ *         description: Invalid range, interval or groupBy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/revenue', authenticateToken, authorize(PERMISSIONS.REPORTS_READ), getRevenue);
+
+/**
+ * @swagger
+ * /api/reports/circulation/most-rented:
+ *   get:
+ *     summary: Most rented books
+ *     description: Books by the number of rentals issued in the range.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 500
+ *         description: Number of books to return
+ *       - in: query
+ *         name: genre
+ *         schema:
+ *           type: string
+ *         description: Only books of this genre
+ *     responses:
+ *       200:
+ *         description: Report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     range:
+ *                       $ref: '#/components/schemas/ReportRange'
+ *                     books:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           book:
+ *                             $ref: '#/components/schemas/ReportBook'
+ *                           rentals:
+ *                             type: integer
+ *                           uniqueReaders:
+ *                             type: integer
+ *                           lastIssuedAt:
+ *                             type: string
+ *                             format: date-time
+ *       400:
+ *         description: Invalid range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/circulation/most-rented', authenticateToken, authorize(PERMISSIONS.REPORTS_READ), getMostRentedBooks);
+
+/**
+ * @swagger
+ * /api/reports/circulation/never-rented:
+ *   get:
+ *     summary: Books not rented in the range (weeding candidates)
+ *     description: Active books that were already in the collection when the range started and were not lent during it, the longest unused first. lastRentedAt is null for books never lent at all.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 500
+ *         description: Number of books to return
+ *       - in: query
+ *         name: genre
+ *         schema:
+ *           type: string
+ *         description: Only books of this genre
+ *     responses:
+ *       200:
+ *         description: Report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     range:
+ *                       $ref: '#/components/schemas/ReportRange'
+ *                     books:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           book:
+ *                             $ref: '#/components/schemas/ReportBook'
+ *                           addedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           lastRentedAt:
+ *                             type: string
+ *                             format: date-time
+ *                             nullable: true
+ *                     pagination:
+ *                       $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Invalid range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/circulation/never-rented', authenticateToken, authorize(PERMISSIONS.REPORTS_READ), getNeverRentedBooks);
+
+/**
+ * @swagger
+ * /api/reports/circulation/loan-length:
+ *   get:
+ *     summary: Average loan length per genre
+ *     description: Days between issue and return for rentals returned in the range; lost books are not included.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *     responses:
+ *       200:
+ *         description: Report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     range:
+ *                       $ref: '#/components/schemas/ReportRange'
+ *                     genres:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           genre:
+ *                             type: string
+ *                           rentals:
+ *                             type: integer
+ *                           averageLoanDays:
+ *                             type: number
+ *                           shortestLoanDays:
+ *                             type: number
+ *                           longestLoanDays:
+ *                             type: number
+ *                           returnedLate:
+ *                             type: integer
+ *       400:
+ *         description: Invalid range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/circulation/loan-length', authenticateToken, authorize(PERMISSIONS.REPORTS_READ), getLoanLength);
+
+/**
+ * @swagger
+ * /api/reports/circulation/turnover:
+ *   get:
+ *     summary: Turnover per copy
+ *     description: Rentals issued in the range divided by the copies of each book (totalCopies), with the figure for the whole collection. turnover is null for books without copies.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 500
+ *         description: Number of books to return
+ *       - in: query
+ *         name: genre
+ *         schema:
+ *           type: string
+ *         description: Only books of this genre
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [desc, asc]
+ *           default: desc
+ *         description: desc for the most used books first, asc for the least used
+ *     responses:
+ *       200:
+ *         description: Report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     range:
+ *                       $ref: '#/components/schemas/ReportRange'
+ *                     overall:
+ *                       type: object
+ *                       properties:
+ *                         rentals:
+ *                           type: integer
+ *                         copies:
+ *                           type: integer
+ *                         turnover:
+ *                           type: number
+ *                           nullable: true
+ *                     books:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           book:
+ *                             $ref: '#/components/schemas/ReportBook'
+ *                           rentals:
+ *                             type: integer
+ *                           turnover:
+ *                             type: number
+ *                             nullable: true
+ *       400:
+ *         description: Invalid range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/circulation/turnover', authenticateToken, authorize(PERMISSIONS.REPORTS_READ), getCopyTurnover);
+
+/**
+ * @swagger
+ * /api/reports/circulation/demand:
+ *   get:
+ *     summary: Demand versus supply per title
+ *     description: Holds placed in the range per book against its copies, the most wanted titles first. A checkout of an unavailable book is refused with the advice to place a hold, so holds measure the demand that copies could not meet.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 500
+ *         description: Number of books to return
+ *       - in: query
+ *         name: genre
+ *         schema:
+ *           type: string
+ *         description: Only books of this genre
+ *     responses:
+ *       200:
+ *         description: Report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     range:
+ *                       $ref: '#/components/schemas/ReportRange'
+ *                     books:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           book:
+ *                             $ref: '#/components/schemas/ReportBook'
+ *                           holds:
+ *                             type: integer
+ *                           openHolds:
+ *                             type: integer
+ *                           fulfilled:
+ *                             type: integer
+ *                           expired:
+ *                             type: integer
+ *                           cancelled:
+ *                             type: integer
+ *                           rentals:
+ *                             type: integer
+ *                           holdsPerCopy:
+ *                             type: number
+ *       400:
+ *         description: Invalid range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/circulation/demand', authenticateToken, authorize(PERMISSIONS.REPORTS_READ), getBookDemand);
+
+/**
+ * @swagger
+ * /api/reports/overdue-aging:
+ *   get:
+ *     summary: Overdue aging per reader
+ *     description: Unreturned rentals past their due date, bucketed by days overdue (1-7, 8-30, 31-90, 90+), grouped per reader with contact details, the longest overdue readers first. For each rental, owed is the rental fee for the days kept so far plus the fine accrued by the last overdue sweep, compared with the deposit still held for it. Summary and totals cover all matching rentals, the readers list is paginated.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: bucket
+ *         schema:
+ *           type: string
+ *           enum: ['1-7', '8-30', '31-90', '90+']
+ *         description: Only rentals overdue this many days
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Only readers of this category (code or ID)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 500
+ *         description: Number of readers to return
+ *     responses:
+ *       200:
+ *         description: Report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     asOf:
+ *                       type: string
+ *                       format: date-time
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         buckets:
+ *                           type: array
+ *                           items:
+ *                             allOf:
+ *                               - type: object
+ *                                 properties:
+ *                                   bucket:
+ *                                     type: string
+ *                                   minDays:
+ *                                     type: integer
+ *                                   maxDays:
+ *                                     type: integer
+ *                                     nullable: true
+ *                                   readers:
+ *                                     type: integer
+ *                               - $ref: '#/components/schemas/AgingTotals'
+ *                         totals:
+ *                           allOf:
+ *                             - type: object
+ *                               properties:
+ *                                 readers:
+ *                                   type: integer
+ *                             - $ref: '#/components/schemas/AgingTotals'
+ *                     readers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           reader:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: string
+ *                               cardNumber:
+ *                                 type: string
+ *                               fullName:
+ *                                 type: string
+ *                               lastName:
+ *                                 type: string
+ *                               firstName:
+ *                                 type: string
+ *                               middleName:
+ *                                 type: string
+ *                               phone:
+ *                                 type: string
+ *                               email:
+ *                                 type: string
+ *                               address:
+ *                                 type: string
+ *                           oldestOverdueDays:
+ *                             type: integer
+ *                           bucket:
+ *                             type: string
+ *                             description: Bucket of the reader's longest overdue rental
+ *                           totals:
+ *                             $ref: '#/components/schemas/AgingTotals'
+ *                           rentals:
+ *                             type: array
+ *                             items:
+ *                               $ref: '#/components/schemas/AgingRental'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Invalid bucket
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/overdue-aging', authenticateToken, authorize(PERMISSIONS.REPORTS_READ), getOverdueAgingReport);
+
+/**
+ * @swagger
+ * /api/reports/overdue-aging/export:
+ *   get:
+ *     summary: Export the overdue aging report as CSV, XLSX or NDJSON
+ *     description: One row per overdue rental with the reader's card number, name, phone, email and address, sorted by reader name, for phone and letter campaigns. Takes the same filters as the report, without pagination.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, ndjson]
+ *           default: csv
+ *         description: CSV and XLSX have one column per field, NDJSON has one JSON document per rental with the reader embedded
+ *       - in: query
+ *         name: bucket
+ *         schema:
+ *           type: string
+ *           enum: ['1-7', '8-30', '31-90', '90+']
+ *         description: Only rentals overdue this many days
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Only readers of this category (code or ID)
+ *     responses:
+ *       200:
+ *         description: The export file, sent as an attachment
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unsupported format or invalid bucket
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/overdue-aging/export', authenticateToken, authorize(PERMISSIONS.REPORTS_READ), authorize(PERMISSIONS.DATA_EXPORT), exportOverdueAging);
+
+module.exports = router;
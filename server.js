@@ -1,20 +1,35 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
+const mongoose = require('mongoose');
 require('dotenv').config();
 const connectDB = require('./config/database');
 const { errorHandler } = require('./middleware/errorHandler');
 const { specs, swaggerUi } = require('./config/swagger');
+const { getJobStatus } = require('./services/scheduler');
+const { JOB_NAME: OVERDUE_SWEEPER_JOB, startOverdueSweeper } = require('./services/overdueSweeper');
+const { JOB_NAME: HOLD_EXPIRY_JOB, startHoldExpiry } = require('./services/holdService');
+const { JOB_NAME: NOTIFICATIONS_JOB, startNotifications } = require('./services/notificationService');
+const { migrateReaderCategories } = require('./services/readerCategoryService');
+const { migrateMemberships } = require('./services/membershipService');
+const { bootstrapAdmin } = require('./services/userService');
+const { migrateCopyTracking } = require('./services/inventoryService');
+const { assertReceiptFont } = require('./utils/receiptPdf');
 
 const authRoutes = require('./routes/auth');
 const bookRoutes = require('./routes/books');
 const readerRoutes = require('./routes/readers');
 const rentalRoutes = require('./routes/rentals');
+const fineRoutes = require('./routes/fines');
+const holdRoutes = require('./routes/holds');
+const copyRoutes = require('./routes/copies');
+const ledgerRoutes = require('./routes/ledger');
+const readerCategoryRoutes = require('./routes/readerCategories');
+const reportRoutes = require('./routes/reports');
+const notificationRoutes = require('./routes/notifications');
 
 const app = express();
 
-connectDB();
-
 // Middleware
 app.use(helmet());
 app.use(express.json({ limit: '10mb' }));
@@ -36,6 +51,13 @@ app.use('/api/auth', authRoutes);
 app.use('/api/books', bookRoutes);
 app.use('/api/readers', readerRoutes);
 app.use('/api/rentals', rentalRoutes);
+app.use('/api/fines', fineRoutes);
+app.use('/api/holds', holdRoutes);
+app.use('/api/copies', copyRoutes);
+app.use('/api/ledger', ledgerRoutes);
+app.use('/api/reader-categories', readerCategoryRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 /**
  * @swagger
@@ -93,15 +115,77 @@ app.get('/', (req, res) => {
  *                   type: number
  *                   description: Server uptime in seconds
  *                   example: 3600
+ *                 jobs:
+ *                   type: object
+ *                   properties:
+ *                     overdueSweeper:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Last run of the overdue sweeper across all instances
+ *                       properties:
+ *                         name:
+ *                           type: string
+ *                           example: overdue-sweeper
+ *                         scheduled:
+ *                           type: boolean
+ *                           example: true
+ *                         running:
+ *                           type: boolean
+ *                           example: false
+ *                         lastRunAt:
+ *                           type: string
+ *                           format: date-time
+ *                           example: 2024-01-01T00:00:00.000Z
+ *                         nextRunAt:
+ *                           type: string
+ *                           format: date-time
+ *                           example: 2024-01-01T01:00:00.000Z
+ *                         lastDurationMs:
+ *                           type: number
+ *                           example: 42
+ *                         lastResult:
+ *                           type: object
+ *                           properties:
+ *                             checked:
+ *                               type: integer
+ *                               example: 12
+ *                             markedOverdue:
+ *                               type: integer
+ *                               example: 3
+ *                             finesUpdated:
+ *                               type: integer
+ *                               example: 12
+ *                         lastError:
+ *                           type: string
+ *                           nullable: true
+ *                     holdExpiry:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Last run of the job that expires unclaimed holds, same fields as overdueSweeper
+ *                     notifications:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Last run of the job that sends due-date reminders and overdue notices, same fields as overdueSweeper
  */
 
 // Health check
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+  // Job status lives in MongoDB, health must still answer when it is unreachable
+  const isConnected = mongoose.connection.readyState === 1;
+  const overdueSweeper = isConnected ? await getJobStatus(OVERDUE_SWEEPER_JOB).catch(() => null) : null;
+  const holdExpiry = isConnected ? await getJobStatus(HOLD_EXPIRY_JOB).catch(() => null) : null;
+  const notifications = isConnected ? await getJobStatus(NOTIFICATIONS_JOB).catch(() => null) : null;
+
   res.status(200).json({
     success: true,
     message: 'API is OK',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    jobs: {
+      overdueSweeper,
+      holdExpiry,
+      notifications
+    }
   });
 });
 
@@ -116,11 +200,52 @@ app.use(errorHandler);
 
 const PORT = process.env.PORT;
 
-app.listen(PORT, () => {
-    console.log(`Server is running on port http://localhost:${PORT}`);
-    console.log(`API started successfully!`);
-    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`Swagger Documentation available on: http://localhost:${PORT}/api-docs/`);
+// Data from older versions is migrated before the server takes requests, so no request
+// ever sees a reader, account or loan in its old shape
+const migrate = async () => {
+    const admin = await bootstrapAdmin();
+    if (admin) {
+        console.log(`Account ${admin.email} promoted to admin from ADMIN_EMAIL`);
+    }
+
+    // Readers from older versions store their category as a plain string and have no membership card
+    const categories = await migrateReaderCategories();
+    if (categories.categoriesCreated || categories.readersMigrated) {
+        console.log(`Reader categories migrated: ${categories.categoriesCreated} created, ${categories.readersMigrated} readers updated`);
+    }
+
+    const memberships = await migrateMemberships();
+    if (memberships.cardsIssued || memberships.expiriesSet) {
+        console.log(`Memberships migrated: ${memberships.cardsIssued} cards issued, ${memberships.expiriesSet} expiry dates set`);
+    }
+
+    // Loans opened before copy tracking get a copy so they can be returned and renewed
+    const copies = await migrateCopyTracking();
+    if (copies.books) {
+        console.log(`Copy tracking migrated: ${copies.books} books, ${copies.created} copies created, ${copies.assigned} assigned, ${copies.unassigned} left without a copy`);
+    }
+};
+
+const startServer = async () => {
+    assertReceiptFont();
+    await connectDB();
+    await migrate();
+
+    app.listen(PORT, () => {
+        console.log(`Server is running on port http://localhost:${PORT}`);
+        console.log(`API started successfully!`);
+        console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+        console.log(`Swagger Documentation available on: http://localhost:${PORT}/api-docs/`);
+
+        startOverdueSweeper();
+        startHoldExpiry();
+        startNotifications();
+    });
+};
+
+startServer().catch((error) => {
+    console.error('Startup failed:', error.message);
+    process.exit(1);
 });
 
 // Error handling
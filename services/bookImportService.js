@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const createError = require('http-errors');
+const Book = require('../models/Book');
+const { MAX_COPIES_PER_REQUEST, isValidCopyCount, createCopies } = require('./inventoryService');
+const { normalizeIsbn } = require('../utils/isbn');
+const { parseCsv } = require('../utils/csv');
+
+// Book fields an import row may set; copies only applies to books the import creates
+const IMPORT_FIELDS = [
+    'title',
+    'author',
+    'genre',
+    'description',
+    'publicationYear',
+    'isbn',
+    'depositAmount',
+    'rentalPricePerDay',
+    'copies'
+];
+
+// CSV headers are matched ignoring case, spaces, dashes and underscores ("Rental price per day")
+const HEADER_ALIASES = IMPORT_FIELDS.reduce((aliases, field) => {
+    aliases[field.toLowerCase()] = field;
+    return aliases;
+}, { totalcopies: 'copies', isbn13: 'isbn' });
+
+const headerKey = (header) => header.toLowerCase().replace(/[\s_-]+/g, '');
+
+// Known fields only, with blank values left out so they do not overwrite anything
+const pickFields = (source) => IMPORT_FIELDS.reduce((data, field) => {
+    let value = source[field];
+    if (typeof value === 'string') value = value.trim();
+    if (value !== undefined && value !== null && value !== '') data[field] = value;
+    return data;
+}, {});
+
+// [{ row, data, errors }] where row is the line number in the file
+const parseImport = (text, format) => {
+    if (format === 'jsonl') {
+        return text.split(/\r?\n/)
+            .map((line, index) => ({ row: index + 1, line: line.trim() }))
+            .filter(({ line }) => line)
+            .map(({ row, line }) => {
+                try {
+                    const value = JSON.parse(line);
+                    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                        return { row, data: {}, errors: ['Each line must be a JSON object'] };
+                    }
+                    return { row, data: pickFields(value), errors: [] };
+                } catch (error) {
+                    return { row, data: {}, errors: [`Invalid JSON: ${error.message}`] };
+                }
+            });
+    }
+
+    const [header, ...records] = parseCsv(text);
+    if (!header) return [];
+
+    const columns = header.values.map(name => HEADER_ALIASES[headerKey(name)]);
+    if (!columns.includes('title') || !columns.includes('author')) {
+        throw createError(400, 'CSV header must include at least title and author columns');
+    }
+
+    return records.map(({ line, values }) => {
+        const source = {};
+        columns.forEach((field, index) => {
+            if (field) source[field] = values[index];
+        });
+        return { row: line, data: pickFields(source), errors: [] };
+    });
+};
+
+const validationMessages = async (book) => {
+    try {
+        await book.validate();
+        return [];
+    } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        return Object.values(error.errors).map(item => item.message);
+    }
+};
+
+// Same identity rules as creating a single book: the ISBN when there is one,
+// otherwise title and author among books without an ISBN
+const findExisting = (data, isbn13) => {
+    if (isbn13) {
+        return Book.findOne({ isbn13 });
+    }
+    return Book.findOne({ title: data.title, author: data.author, isbn13: { $exists: false } });
+};
+
+// A row that fails to save (e.g. the same ISBN added meanwhile) is reported, not fatal
+const writeRow = async (result, write) => {
+    try {
+        await write();
+    } catch (error) {
+        if (error.code !== 11000 && error.name !== 'ValidationError') throw error;
+        result.action = 'invalid';
+        result.errors = [error.code === 11000 ? 'Book with this ISBN already exists' : error.message];
+    }
+};
+
+// Decide what each row does and validate it against the Book schema, then write the valid
+// rows unless this is a dry run. Rows are written one by one: an invalid row does not stop the others
+const importBookRows = async (rows, { dryRun = false } = {}) => {
+    const seen = new Map();
+    const results = [];
+
+    for (const { row, data, errors } of rows) {
+        const result = { row, title: data.title, action: 'invalid', errors: [...errors] };
+        results.push(result);
+        if (result.errors.length) continue;
+
+        const { copies = 1, ...fields } = data;
+
+        let isbn13;
+        if (fields.isbn) {
+            const normalized = normalizeIsbn(fields.isbn);
+            if (!normalized) {
+                result.errors.push(`Invalid ISBN: ${fields.isbn}`);
+                continue;
+            }
+            isbn13 = normalized.isbn13;
+        }
+
+        const key = isbn13 || `${fields.title}\u0000${fields.author}`;
+        if (seen.has(key)) {
+            result.errors.push(`Same book as row ${seen.get(key)}`);
+            continue;
+        }
+        seen.set(key, row);
+
+        const existing = fields.title && fields.author ? await findExisting(fields, isbn13) : null;
+
+        if (existing) {
+            result.bookId = existing._id;
+
+            if (!existing.isActive) {
+                result.action = 'skipped';
+                result.reason = 'Matches a deleted book';
+                continue;
+            }
+
+            existing.set(fields);
+            if (!existing.isModified()) {
+                result.action = 'skipped';
+                result.reason = 'No changes';
+                continue;
+            }
+
+            result.errors = await validationMessages(existing);
+            if (result.errors.length) continue;
+
+            result.action = 'updated';
+            result.changes = existing.modifiedPaths();
+            if (!dryRun) await writeRow(result, () => existing.save());
+        } else {
+            const count = Number(copies);
+            if (!isValidCopyCount(count)) {
+                result.errors.push(`Copies must be a whole number from 1 to ${MAX_COPIES_PER_REQUEST}`);
+                continue;
+            }
+
+            const book = new Book({ ...fields, totalCopies: count, availableCopies: count });
+            result.errors = await validationMessages(book);
+            if (result.errors.length) continue;
+
+            result.action = 'created';
+            if (!dryRun) {
+                await writeRow(result, () => mongoose.connection.transaction(async (session) => {
+                    await book.save({ session });
+                    await createCopies(book, Array.from({ length: count }, () => ({})), session);
+                }));
+                if (result.action === 'created') result.bookId = book._id;
+            }
+        }
+    }
+
+    const count = (action) => results.filter(result => result.action === action).length;
+
+    results.forEach(result => {
+        if (result.errors.length === 0) delete result.errors;
+    });
+
+    return {
+        dryRun,
+        summary: {
+            rows: results.length,
+            created: count('created'),
+            updated: count('updated'),
+            skipped: count('skipped'),
+            invalid: count('invalid')
+        },
+        results
+    };
+};
+
+module.exports = {
+    IMPORT_FIELDS,
+    parseImport,
+    importBookRows
+};
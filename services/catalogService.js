@@ -0,0 +1,198 @@
+const createError = require('http-errors');
+const Book = require('../models/Book');
+const { escapeRegExp, parseSearchTerms, highlightFields } = require('../utils/search');
+
+// Lower bounds of the daily price ranges; the last range is open-ended
+const PRICE_BOUNDARIES = [0, 1, 2, 5, 10];
+// Text-indexed fields that get highlighted matches
+const SEARCH_FIELDS = ['title', 'author', 'genre', 'description'];
+
+// Repeated or comma-separated query values: ?genre=Poetry&genre=Drama or ?genre=Poetry,Drama
+const toList = (value) => {
+    if (value === undefined) return [];
+    return [].concat(value)
+        .flatMap(item => String(item).split(','))
+        .map(item => item.trim())
+        .filter(Boolean);
+};
+
+const toNumber = (value, name) => {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    if (Number.isNaN(number)) {
+        throw createError(400, `${name} must be a number`);
+    }
+    return number;
+};
+
+// Facet values are matched exactly, ignoring case
+const anyOf = (values) => ({ $in: values.map(value => new RegExp(`^${escapeRegExp(value)}$`, 'i')) });
+
+// One clause per facet, so each facet can be counted with every filter except its own
+const buildCatalogFilters = (params) => {
+    const clauses = {};
+
+    const genres = toList(params.genre);
+    if (genres.length) clauses.genre = { genre: anyOf(genres) };
+
+    const authors = toList(params.author);
+    if (authors.length) clauses.author = { author: anyOf(authors) };
+
+    if (params.available === 'true') {
+        clauses.availability = { availableCopies: { $gt: 0 } };
+    } else if (params.available === 'false') {
+        clauses.availability = { availableCopies: 0 };
+    }
+
+    const minPrice = toNumber(params.minPrice, 'minPrice');
+    const maxPrice = toNumber(params.maxPrice, 'maxPrice');
+    if (minPrice !== undefined || maxPrice !== undefined) {
+        clauses.price = { rentalPricePerDay: {} };
+        if (minPrice !== undefined) clauses.price.rentalPricePerDay.$gte = minPrice;
+        if (maxPrice !== undefined) clauses.price.rentalPricePerDay.$lt = maxPrice;
+    }
+
+    const yearFrom = toNumber(params.yearFrom, 'yearFrom');
+    const yearTo = toNumber(params.yearTo, 'yearTo');
+    if (yearFrom !== undefined || yearTo !== undefined) {
+        clauses.year = { publicationYear: {} };
+        if (yearFrom !== undefined) clauses.year.publicationYear.$gte = yearFrom;
+        if (yearTo !== undefined) clauses.year.publicationYear.$lte = yearTo;
+    }
+
+    return clauses;
+};
+
+const combine = (clauses, except) => {
+    const parts = Object.entries(clauses)
+        .filter(([name]) => name !== except)
+        .map(([, clause]) => clause);
+    return parts.length ? { $and: parts } : {};
+};
+
+const valueFacet = (field, match, limit) => [
+    { $match: match },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit }
+];
+
+const formatPriceFacet = (buckets) => {
+    const counts = new Map(buckets.map(bucket => [bucket._id, bucket.count]));
+    return PRICE_BOUNDARIES.map((min, index) => {
+        const max = PRICE_BOUNDARIES[index + 1] ?? null;
+        return { min, max, count: counts.get(max === null ? 'other' : min) || 0 };
+    });
+};
+
+// Paginated results and facet counts in one aggregation. The text search narrows everything;
+// each facet counts books matching all other filters, so the UI can show what selecting a value would give
+const searchCatalog = async (params) => {
+    const page = Math.max(1, parseInt(params.page) || 1);
+    const limit = Math.max(1, parseInt(params.limit) || 10);
+    const facetLimit = Math.max(1, parseInt(params.facetLimit) || 20);
+    const search = params.search && params.search.trim();
+
+    const clauses = buildCatalogFilters(params);
+
+    const pipeline = [
+        { $match: { isActive: true, ...(search && { $text: { $search: search, $diacriticSensitive: false } }) } }
+    ];
+    if (search) {
+        pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+    }
+
+    pipeline.push({
+        $facet: {
+            results: [
+                { $match: combine(clauses) },
+                { $sort: search ? { score: -1, createdAt: -1 } : { createdAt: -1 } },
+                { $skip: (page - 1) * limit },
+                { $limit: limit }
+            ],
+            total: [
+                { $match: combine(clauses) },
+                { $count: 'count' }
+            ],
+            genre: valueFacet('genre', combine(clauses, 'genre'), facetLimit),
+            author: valueFacet('author', combine(clauses, 'author'), facetLimit),
+            availability: [
+                { $match: combine(clauses, 'availability') },
+                { $group: { _id: { $gt: ['$availableCopies', 0] }, count: { $sum: 1 } } }
+            ],
+            price: [
+                { $match: combine(clauses, 'price') },
+                {
+                    $bucket: {
+                        groupBy: '$rentalPricePerDay',
+                        boundaries: PRICE_BOUNDARIES,
+                        default: 'other',
+                        output: { count: { $sum: 1 } }
+                    }
+                }
+            ],
+            // By decade; books without a publication year are counted under null
+            year: [
+                { $match: combine(clauses, 'year') },
+                {
+                    $group: {
+                        _id: {
+                            $cond: [
+                                { $isNumber: '$publicationYear' },
+                                { $multiply: [{ $floor: { $divide: ['$publicationYear', 10] } }, 10] },
+                                null
+                            ]
+                        },
+                        count: { $sum: 1 }
+                    }
+                },
+                { $sort: { _id: -1 } }
+            ]
+        }
+    });
+
+    const [result] = await Book.aggregate(pipeline);
+    const total = result.total[0] ? result.total[0].count : 0;
+    const terms = search ? parseSearchTerms(search) : [];
+
+    const books = result.results.map(doc => {
+        const book = Book.hydrate(doc).toJSON();
+        if (!search) return book;
+        return { ...book, score: doc.score, highlights: highlightFields(doc, SEARCH_FIELDS, terms, { description: 200 }) };
+    });
+
+    const availabilityCount = (value) => {
+        const bucket = result.availability.find(item => item._id === value);
+        return bucket ? bucket.count : 0;
+    };
+
+    return {
+        books,
+        pagination: {
+            current: page,
+            pages: Math.ceil(total / limit),
+            total
+        },
+        facets: {
+            genre: result.genre.map(({ _id, count }) => ({ value: _id, count })),
+            author: result.author.map(({ _id, count }) => ({ value: _id, count })),
+            availability: {
+                available: availabilityCount(true),
+                unavailable: availabilityCount(false)
+            },
+            price: formatPriceFacet(result.price),
+            year: result.year.map(({ _id, count }) => ({
+                from: _id,
+                to: _id === null ? null : _id + 9,
+                count
+            }))
+        }
+    };
+};
+
+module.exports = {
+    SEARCH_FIELDS,
+    PRICE_BOUNDARIES,
+    buildCatalogFilters,
+    searchCatalog
+};
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const createError = require('http-errors');
+const Book = require('../models/Book');
+const Rental = require('../models/Rental');
+const Hold = require('../models/Hold');
+const { checkOutCopy, checkOutHeldCopy, normalizeBarcode } = require('./inventoryService');
+const { recordCheckout } = require('./ledgerService');
+const { issueReceipt } = require('./receiptService');
+const { assertCanBorrow } = require('./standingService');
+const { resolveDueDate, buildQuote } = require('../utils/pricing');
+
+// Active books in the order they were requested; unknown or deleted ones are a 404
+const loadBooks = async (bookIds) => {
+    const books = await Book.find({ _id: { $in: bookIds }, isActive: true });
+    const byId = new Map(books.map(book => [String(book._id), book]));
+
+    const missing = bookIds.filter(id => !byId.has(String(id)));
+    if (missing.length) {
+        throw createError(404, missing.length === 1 && bookIds.length === 1
+            ? 'Book not found'
+            : `Book not found: ${missing.join(', ')}`);
+    }
+
+    return bookIds.map(id => byId.get(String(id)));
+};
+
+// Lend one or more books to a reader: every book is checked before anything is written,
+// then all rentals, copies, holds, deposits and receipts are written in one transaction or not at all.
+// items: [{ book, barcode }] with loaded books
+const checkoutBooks = async ({ reader, items, expectedReturnDate, paymentMethod, userId }) => {
+    const bookIds = items.map(item => String(item.book._id));
+    if (new Set(bookIds).size !== bookIds.length) {
+        throw createError(400, 'Each book can only be checked out once per checkout');
+    }
+
+    // The category's loan period is both the default and the longest loan
+    const issueDate = new Date();
+    const dueDate = resolveDueDate(reader.category, issueDate, expectedReturnDate);
+
+    // A copy set aside for this reader's hold does not count as available to others
+    const readyHolds = await Hold.find({ book: { $in: bookIds }, reader: reader._id, status: 'ready' });
+    const holdByBook = new Map(readyHolds.map(hold => [String(hold.book), hold]));
+
+    const unavailable = items
+        .filter(item => !holdByBook.has(String(item.book._id)) && !item.book.isAvailable)
+        .map(item => ({ bookId: item.book._id, title: item.book.title }));
+
+    if (unavailable.length) {
+        throw createError(400, items.length === 1
+            ? 'Book is not available for rental, a hold can be placed instead'
+            : `Not available for rental, a hold can be placed instead: ${unavailable.map(book => book.title).join(', ')}`,
+        { details: { unavailable } });
+    }
+
+    // Suspension, overdue books, unpaid balance and the rental limit for the whole set
+    await assertCanBorrow(reader, { checkout: true, newRentals: items.length });
+
+    const quote = buildQuote(items.map(item => item.book), reader, issueDate, dueDate);
+    const checkoutId = new mongoose.Types.ObjectId();
+
+    const rentals = items.map((item, index) => new Rental({
+        book: item.book._id,
+        reader: reader._id,
+        checkoutId,
+        issueDate,
+        expectedReturnDate: dueDate,
+        depositAmount: item.book.depositAmount,
+        rentalPricePerDay: item.book.rentalPricePerDay,
+        discountAmount: quote.items[index].discountAmount,
+        taxRate: quote.items[index].taxRate
+    }));
+
+    const receipts = [];
+    await mongoose.connection.transaction(async (session) => {
+        for (const [index, item] of items.entries()) {
+            const { book, barcode } = item;
+            const rental = rentals[index];
+            const readyHold = holdByBook.get(String(book._id));
+
+            let copy;
+            if (readyHold) {
+                const hold = await Hold.findOneAndUpdate(
+                    { _id: readyHold._id, status: 'ready' },
+                    { $set: { status: 'fulfilled', closedAt: new Date(), rental: rental._id } },
+                    { session }
+                );
+                if (!hold) {
+                    throw createError(409, `Hold for "${book.title}" is no longer ready for pickup`);
+                }
+                copy = await checkOutHeldCopy(book, hold, rental._id, session);
+                if (barcode && normalizeBarcode(barcode) !== copy.barcode) {
+                    throw createError(400, `Copy ${copy.barcode} is set aside for this reader's hold`);
+                }
+            } else {
+                copy = await checkOutCopy(book, barcode, rental._id, session);
+            }
+
+            rental.copy = copy._id;
+            await rental.save({ session });
+            await recordCheckout(rental, paymentMethod, userId, session);
+            receipts[index] = await issueReceipt({ rental, reader, book, copy }, 'checkout', userId, session);
+        }
+    });
+
+    return { checkoutId, rentals, receipts, quote };
+};
+
+module.exports = {
+    loadBooks,
+    checkoutBooks
+};
@@ -0,0 +1,289 @@
+const Rental = require('../models/Rental');
+const Book = require('../models/Book');
+const Hold = require('../models/Hold');
+const { DAY_MS, parseRange } = require('./reportService');
+const { roundMoney } = require('../utils/money');
+
+const toLimit = (value, fallback) => Math.min(500, Math.max(1, parseInt(value) || fallback));
+
+const bookFields = (book) => ({
+    id: book._id,
+    title: book.title,
+    author: book.author,
+    genre: book.genre,
+    totalCopies: book.totalCopies
+});
+
+// Rentals issued in the range per book, lent out the most first
+const getMostRented = async (params) => {
+    const range = parseRange(params);
+    const limit = toLimit(params.limit, 10);
+
+    const rows = await Rental.aggregate([
+        { $match: { issueDate: { $gte: range.from, $lt: range.to } } },
+        {
+            $group: {
+                _id: '$book',
+                rentals: { $sum: 1 },
+                readers: { $addToSet: '$reader' },
+                lastIssuedAt: { $max: '$issueDate' }
+            }
+        },
+        { $lookup: { from: Book.collection.name, localField: '_id', foreignField: '_id', as: 'book' } },
+        { $unwind: '$book' },
+        ...(params.genre ? [{ $match: { 'book.genre': params.genre } }] : []),
+        { $sort: { rentals: -1, lastIssuedAt: -1 } },
+        { $limit: limit }
+    ]);
+
+    return {
+        range,
+        books: rows.map(row => ({
+            book: bookFields(row.book),
+            rentals: row.rentals,
+            uniqueReaders: row.readers.length,
+            lastIssuedAt: row.lastIssuedAt
+        }))
+    };
+};
+
+// Books in the collection for the whole range that nobody borrowed in it, the longest unused first.
+// Weeding candidates; lastRentedAt is null for books that were never lent at all
+const getNeverRented = async (params) => {
+    const range = parseRange(params);
+    const page = Math.max(1, parseInt(params.page) || 1);
+    const limit = toLimit(params.limit, 50);
+
+    const [result] = await Book.aggregate([
+        { $match: { isActive: true, createdAt: { $lt: range.from }, ...(params.genre && { genre: params.genre }) } },
+        {
+            $lookup: {
+                from: Rental.collection.name,
+                let: { bookId: '$_id' },
+                pipeline: [
+                    { $match: { $expr: { $and: [{ $eq: ['$book', '$$bookId'] }, { $lt: ['$issueDate', range.to] }] } } },
+                    { $sort: { issueDate: -1 } },
+                    { $limit: 1 },
+                    { $project: { issueDate: 1 } }
+                ],
+                as: 'lastRental'
+            }
+        },
+        { $set: { lastRentedAt: { $first: '$lastRental.issueDate' } } },
+        { $match: { $or: [{ lastRentedAt: null }, { lastRentedAt: { $lt: range.from } }] } },
+        { $sort: { lastRentedAt: 1, createdAt: 1 } },
+        {
+            $facet: {
+                books: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]);
+
+    const total = result.total[0] ? result.total[0].count : 0;
+
+    return {
+        range,
+        books: result.books.map(book => ({
+            book: bookFields(book),
+            addedAt: book.createdAt,
+            lastRentedAt: book.lastRentedAt || null
+        })),
+        pagination: {
+            current: page,
+            pages: Math.ceil(total / limit),
+            total
+        }
+    };
+};
+
+// How long books of each genre are kept, over the rentals returned in the range; lost books are left out
+const getLoanLengthByGenre = async (params) => {
+    const range = parseRange(params);
+
+    const rows = await Rental.aggregate([
+        {
+            $match: {
+                actualReturnDate: { $gte: range.from, $lt: range.to },
+                status: 'returned'
+            }
+        },
+        { $lookup: { from: Book.collection.name, localField: 'book', foreignField: '_id', as: 'book' } },
+        { $unwind: '$book' },
+        {
+            $project: {
+                genre: '$book.genre',
+                loanDays: { $divide: [{ $subtract: ['$actualReturnDate', '$issueDate'] }, DAY_MS] },
+                late: { $gt: ['$actualReturnDate', '$expectedReturnDate'] }
+            }
+        },
+        {
+            $group: {
+                _id: '$genre',
+                rentals: { $sum: 1 },
+                averageLoanDays: { $avg: '$loanDays' },
+                shortestLoanDays: { $min: '$loanDays' },
+                longestLoanDays: { $max: '$loanDays' },
+                returnedLate: { $sum: { $cond: ['$late', 1, 0] } }
+            }
+        },
+        { $sort: { averageLoanDays: -1 } }
+    ]);
+
+    return {
+        range,
+        genres: rows.map(row => ({
+            genre: row._id,
+            rentals: row.rentals,
+            averageLoanDays: roundMoney(row.averageLoanDays),
+            shortestLoanDays: roundMoney(row.shortestLoanDays),
+            longestLoanDays: roundMoney(row.longestLoanDays),
+            returnedLate: row.returnedLate
+        }))
+    };
+};
+
+// Rentals issued in the range per copy in the collection. order=asc lists the least used books first
+const getTurnover = async (params) => {
+    const range = parseRange(params);
+    const limit = toLimit(params.limit, 20);
+    const direction = params.order === 'asc' ? 1 : -1;
+
+    const match = { isActive: true, ...(params.genre && { genre: params.genre }) };
+
+    const [result] = await Book.aggregate([
+        { $match: match },
+        {
+            $lookup: {
+                from: Rental.collection.name,
+                let: { bookId: '$_id' },
+                pipeline: [
+                    {
+                        $match: {
+                            $expr: {
+                                $and: [
+                                    { $eq: ['$book', '$$bookId'] },
+                                    { $gte: ['$issueDate', range.from] },
+                                    { $lt: ['$issueDate', range.to] }
+                                ]
+                            }
+                        }
+                    },
+                    { $count: 'count' }
+                ],
+                as: 'rentalCount'
+            }
+        },
+        { $set: { rentals: { $ifNull: [{ $first: '$rentalCount.count' }, 0] } } },
+        {
+            $facet: {
+                books: [
+                    {
+                        $set: {
+                            turnover: {
+                                $cond: [{ $gt: ['$totalCopies', 0] }, { $divide: ['$rentals', '$totalCopies'] }, null]
+                            }
+                        }
+                    },
+                    { $sort: { turnover: direction, rentals: direction, title: 1 } },
+                    { $limit: limit }
+                ],
+                overall: [
+                    { $group: { _id: null, rentals: { $sum: '$rentals' }, copies: { $sum: '$totalCopies' } } }
+                ]
+            }
+        }
+    ]);
+
+    const { rentals = 0, copies = 0 } = result.overall[0] || {};
+
+    return {
+        range,
+        overall: {
+            rentals,
+            copies,
+            turnover: copies ? roundMoney(rentals / copies) : null
+        },
+        books: result.books.map(row => ({
+            book: bookFields(row),
+            rentals: row.rentals,
+            turnover: row.turnover === null ? null : roundMoney(row.turnover)
+        }))
+    };
+};
+
+// Holds placed in the range against the copies available to serve them, the most wanted titles first.
+// Checkouts of unavailable books are refused with the advice to place a hold, so holds are the demand measure
+const getDemand = async (params) => {
+    const range = parseRange(params);
+    const limit = toLimit(params.limit, 20);
+
+    const rows = await Hold.aggregate([
+        { $match: { queuedAt: { $gte: range.from, $lt: range.to } } },
+        {
+            $group: {
+                _id: '$book',
+                holds: { $sum: 1 },
+                fulfilled: { $sum: { $cond: [{ $eq: ['$status', 'fulfilled'] }, 1, 0] } },
+                expired: { $sum: { $cond: [{ $eq: ['$status', 'expired'] }, 1, 0] } },
+                cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+                open: { $sum: { $cond: [{ $in: ['$status', ['waiting', 'ready']] }, 1, 0] } }
+            }
+        },
+        { $lookup: { from: Book.collection.name, localField: '_id', foreignField: '_id', as: 'book' } },
+        { $unwind: '$book' },
+        ...(params.genre ? [{ $match: { 'book.genre': params.genre } }] : []),
+        {
+            $set: {
+                holdsPerCopy: {
+                    $cond: [{ $gt: ['$book.totalCopies', 0] }, { $divide: ['$holds', '$book.totalCopies'] }, '$holds']
+                }
+            }
+        },
+        { $sort: { holdsPerCopy: -1, holds: -1 } },
+        { $limit: limit },
+        {
+            $lookup: {
+                from: Rental.collection.name,
+                let: { bookId: '$_id' },
+                pipeline: [
+                    {
+                        $match: {
+                            $expr: {
+                                $and: [
+                                    { $eq: ['$book', '$$bookId'] },
+                                    { $gte: ['$issueDate', range.from] },
+                                    { $lt: ['$issueDate', range.to] }
+                                ]
+                            }
+                        }
+                    },
+                    { $count: 'count' }
+                ],
+                as: 'rentalCount'
+            }
+        }
+    ]);
+
+    return {
+        range,
+        books: rows.map(row => ({
+            book: { ...bookFields(row.book), availableCopies: row.book.availableCopies },
+            holds: row.holds,
+            openHolds: row.open,
+            fulfilled: row.fulfilled,
+            expired: row.expired,
+            cancelled: row.cancelled,
+            rentals: row.rentalCount[0] ? row.rentalCount[0].count : 0,
+            holdsPerCopy: roundMoney(row.holdsPerCopy)
+        }))
+    };
+};
+
+module.exports = {
+    getMostRented,
+    getNeverRented,
+    getLoanLengthByGenre,
+    getTurnover,
+    getDemand
+};
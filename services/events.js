@@ -0,0 +1,23 @@
+const { EventEmitter } = require('events');
+
+// In-process domain events, emitted only after the related writes have committed
+const libraryEvents = new EventEmitter();
+
+const EVENTS = {
+    HOLD_READY: 'hold:ready',
+    HOLD_EXPIRED: 'hold:expired'
+};
+
+const emitSafely = (event, payload) => {
+    try {
+        libraryEvents.emit(event, payload);
+    } catch (error) {
+        console.error(`Listener for "${event}" failed:`, error.message);
+    }
+};
+
+module.exports = {
+    libraryEvents,
+    EVENTS,
+    emitSafely
+};
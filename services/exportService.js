@@ -0,0 +1,95 @@
+const ExcelJS = require('exceljs');
+const createError = require('http-errors');
+const { toCsvLine } = require('../utils/csv');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const resolveFormat = (format = 'csv') => {
+    if (!EXPORT_FORMATS[format]) {
+        throw createError(400, `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    return format;
+};
+
+// Respect backpressure so a slow client does not make the whole result pile up in memory
+const write = (res, chunk) => {
+    if (res.write(chunk)) return undefined;
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+};
+
+const rowValues = (doc, columns) => columns.map(column => column.value(doc));
+
+// Stream every document of a query cursor to the response, one at a time.
+// columns: [{ header, value: doc => value, width }] for CSV and XLSX; NDJSON writes the whole document
+const streamExport = async (res, { cursor, columns, format, name }) => {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${name}-${date}.${extension}"`
+    });
+
+    // The client went away, stop reading from the database
+    let aborted = false;
+    res.on('close', () => {
+        aborted = !res.writableFinished;
+    });
+
+    try {
+        if (format === 'xlsx') {
+            const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+            const sheet = workbook.addWorksheet(name);
+            sheet.columns = columns.map(({ header, width }, index) => ({ header, key: String(index), width: width || 16 }));
+            sheet.getRow(1).font = { bold: true };
+
+            for await (const doc of cursor) {
+                if (aborted) break;
+                sheet.addRow(rowValues(doc, columns)).commit();
+            }
+
+            sheet.commit();
+            await workbook.commit();
+            return;
+        }
+
+        // A byte order mark lets spreadsheet apps detect UTF-8 (Cyrillic names)
+        if (format === 'csv') {
+            await write(res, '\ufeff' + toCsvLine(columns.map(column => column.header)));
+        }
+
+        for await (const doc of cursor) {
+            if (aborted) break;
+            await write(res, format === 'csv'
+                ? toCsvLine(rowValues(doc, columns))
+                : JSON.stringify(doc) + '\n');
+        }
+
+        res.end();
+    } catch (error) {
+        // Once streaming has started the status is sent, the client only sees a cut-off download
+        if (!res.headersSent) throw error;
+        console.error(`Export of ${name} failed:`, error.message);
+        res.destroy(error);
+    } finally {
+        await cursor.close();
+    }
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    resolveFormat,
+    streamExport
+};
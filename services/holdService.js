@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const Hold = require('../models/Hold');
+const Copy = require('../models/Copy');
+const { findAvailableCopy } = require('./inventoryService');
+const { scheduleJob } = require('./scheduler');
+const { EVENTS, emitSafely } = require('./events');
+
+const JOB_NAME = 'hold-expiry';
+
+const getPickupDays = () => Number(process.env.HOLD_PICKUP_DAYS || 3);
+
+const getIntervalMs = () => {
+    const minutes = Number(process.env.HOLD_EXPIRY_INTERVAL_MINUTES || 15);
+    return minutes * 60 * 1000;
+};
+
+// A copy came back (or a reserved one was freed): hand it to the queue, or put it back on the shelf.
+// Returns the hold that received the copy so the caller can announce it after commit
+const releaseCopy = async (book, copy, session) => {
+    const hold = await Hold.promoteNext(book._id, copy._id, getPickupDays(), session);
+
+    copy.status = hold ? 'on_hold' : 'available';
+    copy.currentRental = null;
+    copy.currentHold = hold ? hold._id : null;
+    await copy.save({ session });
+
+    await book.syncCopyCounts(session);
+    return hold;
+};
+
+// Copies added to the shelf go to waiting readers first
+const fillWaitingHolds = async (book, session) => {
+    const promoted = [];
+
+    let copy = await findAvailableCopy(book, session);
+    while (copy) {
+        const hold = await Hold.promoteNext(book._id, copy._id, getPickupDays(), session);
+        if (!hold) break;
+
+        copy.status = 'on_hold';
+        copy.currentHold = hold._id;
+        await copy.save({ session });
+        promoted.push(hold);
+
+        copy = await findAvailableCopy(book, session);
+    }
+
+    if (promoted.length) {
+        await book.syncCopyCounts(session);
+    }
+
+    return promoted;
+};
+
+// Close a hold; a ready hold's reserved copy rolls to the next reader in line
+const closeHold = async (holdId, status, session) => {
+    const hold = await Hold.findById(holdId).session(session);
+
+    if (!hold || !hold.isOpen) {
+        return { hold, nextHold: null };
+    }
+
+    const wasReady = hold.status === 'ready';
+    hold.close(status);
+    await hold.save({ session });
+
+    let nextHold = null;
+    const copy = wasReady && hold.copy
+        ? await Copy.findOne({ _id: hold.copy, status: 'on_hold', currentHold: hold._id }).session(session)
+        : null;
+
+    if (copy) {
+        const book = await Book.findById(hold.book).session(session);
+        nextHold = await releaseCopy(book, copy, session);
+    }
+
+    return { hold, nextHold };
+};
+
+const expireReadyHolds = async (now = new Date()) => {
+    const result = { expired: 0, rolledOver: 0 };
+
+    const expiredHolds = await Hold.find(
+        { status: 'ready', pickupDeadline: { $lt: now } },
+        '_id'
+    );
+
+    for (const { _id } of expiredHolds) {
+        let closed;
+        await mongoose.connection.transaction(async (session) => {
+            closed = await closeHold(_id, 'expired', session);
+        });
+
+        if (closed.hold && closed.hold.status === 'expired') {
+            result.expired += 1;
+            emitSafely(EVENTS.HOLD_EXPIRED, closed.hold);
+        }
+
+        if (closed.nextHold) {
+            result.rolledOver += 1;
+            emitSafely(EVENTS.HOLD_READY, closed.nextHold);
+        }
+    }
+
+    return result;
+};
+
+const startHoldExpiry = () => {
+    const intervalMs = getIntervalMs();
+
+    if (intervalMs <= 0) {
+        console.log('Hold expiry job is disabled');
+        return;
+    }
+
+    scheduleJob(JOB_NAME, intervalMs, expireReadyHolds);
+};
+
+module.exports = {
+    JOB_NAME,
+    releaseCopy,
+    fillWaitingHolds,
+    closeHold,
+    expireReadyHolds,
+    startHoldExpiry
+};
@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const createError = require('http-errors');
+const Book = require('../models/Book');
+const Copy = require('../models/Copy');
+const Rental = require('../models/Rental');
+const Hold = require('../models/Hold');
+
+const OPEN_RENTAL_STATUSES = ['active', 'overdue'];
+
+// Copies one request or import row may create, all of them are written in one transaction
+const MAX_COPIES_PER_REQUEST = 500;
+
+const normalizeBarcode = (barcode) => String(barcode).trim().toUpperCase();
+
+const isValidCopyCount = (count) => Number.isInteger(count) && count >= 1 && count <= MAX_COPIES_PER_REQUEST;
+
+// Add copies to a book; barcodes are generated for entries that do not bring one
+const createCopies = async (book, entries, session) => {
+    const copies = [];
+
+    for (const entry of entries) {
+        const barcode = entry.barcode
+            ? normalizeBarcode(entry.barcode)
+            : await Copy.generateBarcode(session);
+
+        copies.push(new Copy({ ...entry, book: book._id, barcode }));
+    }
+
+    await Copy.insertMany(copies, { session });
+    await book.syncCopyCounts(session);
+
+    return copies;
+};
+
+// Hand an available copy (the scanned one, if a barcode is given) to a rental
+const checkOutCopy = async (book, barcode, rentalId, session) => {
+    const filter = { book: book._id, status: 'available' };
+
+    if (barcode) {
+        filter.barcode = normalizeBarcode(barcode);
+    }
+
+    const copy = await Copy.findOneAndUpdate(
+        filter,
+        { $set: { status: 'on_loan', currentRental: rentalId, currentHold: null } },
+        { new: true, session }
+    );
+
+    if (!copy) {
+        throw createError(409, barcode
+            ? `Copy ${filter.barcode} is not available for this book`
+            : 'No copies available');
+    }
+
+    await book.syncCopyCounts(session);
+    return copy;
+};
+
+// Hand the copy set aside for a ready hold to the rental that fulfils it
+const checkOutHeldCopy = async (book, hold, rentalId, session) => {
+    const copy = await Copy.findOneAndUpdate(
+        { _id: hold.copy, status: 'on_hold', currentHold: hold._id },
+        { $set: { status: 'on_loan', currentRental: rentalId, currentHold: null } },
+        { new: true, session }
+    );
+
+    if (!copy) {
+        throw createError(409, 'The copy set aside for this hold is no longer available');
+    }
+
+    await book.syncCopyCounts(session);
+    return copy;
+};
+
+const findAvailableCopy = (book, session) => {
+    return Copy.findOne({ book: book._id, status: 'available' }).session(session);
+};
+
+// Bring a book's copies in line with its open rentals and ready holds.
+// Books from before copy tracking get copies generated from their counters
+const reconcileBookCopies = async (book, session) => {
+    const report = { created: 0, released: 0, assigned: 0, unassigned: 0 };
+
+    let copies = await Copy.find({ book: book._id }).session(session);
+    const openRentals = await Rental.find({ book: book._id, status: { $in: OPEN_RENTAL_STATUSES } }).session(session);
+    const readyHolds = await Hold.find({ book: book._id, status: 'ready' }).session(session);
+
+    if (copies.length === 0) {
+        const needed = Math.max(book.totalCopies, openRentals.length + readyHolds.length);
+        copies = await createCopies(book, Array.from({ length: needed }, () => ({})), session);
+        report.created = copies.length;
+    }
+
+    const openRentalIds = new Set(openRentals.map(rental => String(rental._id)));
+    const readyHoldIds = new Set(readyHolds.map(hold => String(hold._id)));
+
+    // Copies still marked as lent or held for something that is already closed
+    for (const copy of copies) {
+        const staleLoan = copy.status === 'on_loan' && !openRentalIds.has(String(copy.currentRental));
+        const staleHold = copy.status === 'on_hold' && !readyHoldIds.has(String(copy.currentHold));
+
+        if (staleLoan || staleHold) {
+            copy.status = 'available';
+            copy.currentRental = null;
+            copy.currentHold = null;
+            await copy.save({ session });
+            report.released += 1;
+        }
+    }
+
+    const claimed = new Map(copies
+        .filter(copy => copy.status === 'on_loan' || copy.status === 'on_hold')
+        .map(copy => [String(copy.currentRental || copy.currentHold), copy]));
+
+    const claimCopy = async (owner, status, field) => {
+        if (claimed.has(String(owner._id))) return;
+
+        const copy = await findAvailableCopy(book, session);
+        if (!copy) {
+            report.unassigned += 1;
+            return;
+        }
+
+        copy.status = status;
+        copy[field] = owner._id;
+        await copy.save({ session });
+
+        owner.copy = copy._id;
+        await owner.save({ session });
+        report.assigned += 1;
+    };
+
+    for (const rental of openRentals) {
+        await claimCopy(rental, 'on_loan', 'currentRental');
+    }
+
+    for (const hold of readyHolds) {
+        await claimCopy(hold, 'on_hold', 'currentHold');
+    }
+
+    await book.syncCopyCounts(session);
+    return report;
+};
+
+// Open rentals and ready holds from before copy tracking have no copy, so they could not be
+// returned, renewed or picked up. Reconcile every book that has any, once at startup
+const migrateCopyTracking = async () => {
+    const report = { books: 0, created: 0, assigned: 0, unassigned: 0 };
+
+    const [rentalBooks, holdBooks] = await Promise.all([
+        Rental.distinct('book', { status: { $in: OPEN_RENTAL_STATUSES }, copy: null }),
+        Hold.distinct('book', { status: 'ready', copy: null })
+    ]);
+    const bookIds = [...new Set([...rentalBooks, ...holdBooks].map(String))];
+
+    for (const bookId of bookIds) {
+        let result = null;
+        await mongoose.connection.transaction(async (session) => {
+            const book = await Book.findById(bookId).session(session);
+            result = book ? await reconcileBookCopies(book, session) : null;
+        });
+        if (!result) continue;
+
+        report.books += 1;
+        report.created += result.created;
+        report.assigned += result.assigned;
+        report.unassigned += result.unassigned;
+    }
+
+    return report;
+};
+
+module.exports = {
+    MAX_COPIES_PER_REQUEST,
+    isValidCopyCount,
+    normalizeBarcode,
+    createCopies,
+    checkOutCopy,
+    checkOutHeldCopy,
+    findAvailableCopy,
+    reconcileBookCopies,
+    migrateCopyTracking
+};
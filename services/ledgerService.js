@@ -0,0 +1,118 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const { roundMoney } = require('../utils/money');
+const { calculateRentalDays, priceRentalDays } = require('../utils/pricing');
+
+const record = async (entries, session) => {
+    const rows = entries
+        .map(entry => ({ ...entry, amount: roundMoney(entry.amount) }))
+        .filter(entry => entry.amount > 0);
+
+    if (rows.length === 0) return [];
+    return LedgerEntry.insertMany(rows, { session });
+};
+
+// Deposit taken at the desk when the book is handed over
+const recordCheckout = (rental, method, userId, session) => {
+    return record([{
+        reader: rental.reader._id || rental.reader,
+        rental: rental._id,
+        type: 'deposit_collected',
+        amount: rental.depositAmount,
+        method: method || 'cash',
+        description: 'Deposit collected at checkout',
+        recordedBy: userId
+    }], session);
+};
+
+// Charge the rental fee, fine and any damage or replacement charge, settle them from the held
+// deposit in that order and refund the rest; a lost book usually forfeits the whole deposit.
+// Rentals from before the ledger have no collected deposit, their charges stay outstanding
+const recordReturn = async (rental, userId, session) => {
+    const reader = rental.reader._id || rental.reader;
+    const fine = roundMoney(rental.fineAmount || 0);
+    const fee = roundMoney(Math.max(0, rental.totalAmount - fine));
+    const rentalDays = Math.max(1, calculateRentalDays(rental.issueDate, rental.actualReturnDate));
+    const { discountAmount } = priceRentalDays(rental, rentalDays);
+
+    const charges = [
+        { type: 'fee_charged', paidAs: 'fee_paid', amount: fee, discountAmount, description: 'Rental fee' },
+        { type: 'fine_charged', paidAs: 'fine_paid', amount: fine, description: 'Overdue fine' },
+        { type: 'damage_charged', paidAs: 'fee_paid', amount: roundMoney(rental.damageCharge || 0), description: 'Damage charge' },
+        { type: 'replacement_charged', paidAs: 'fee_paid', amount: roundMoney(rental.replacementCharge || 0), description: 'Lost book replacement' }
+    ];
+
+    const entries = charges.map(({ type, amount, description, discountAmount }) => ({ type, amount, description, discountAmount }));
+
+    const { depositHeld } = await LedgerEntry.getBalance({ rental: rental._id }, session);
+
+    if (depositHeld > 0) {
+        let remaining = depositHeld;
+        charges.forEach(charge => {
+            const paid = Math.min(remaining, charge.amount);
+            remaining -= paid;
+            entries.push({
+                type: charge.paidAs,
+                amount: paid,
+                method: 'deposit',
+                description: `${charge.description} paid from deposit`
+            });
+        });
+
+        entries.push({ type: 'deposit_refunded', amount: remaining, method: 'cash', description: 'Deposit refunded at return' });
+    }
+
+    return record(entries.map(entry => ({ ...entry, reader, rental: rental._id, recordedBy: userId })), session);
+};
+
+// A lost book turned up: cancel its replacement charge and pay back what was already settled
+const recordFound = async (rental, replacementCharge, refundMethod, userId, session) => {
+    const base = { reader: rental.reader._id || rental.reader, rental: rental._id, recordedBy: userId };
+
+    const reversed = await record([{
+        ...base,
+        type: 'charge_reversed',
+        amount: replacementCharge,
+        description: 'Lost book found, replacement charge reversed'
+    }], session);
+
+    const { outstanding } = await LedgerEntry.getBalance({ rental: rental._id }, session);
+
+    const refunded = await record([{
+        ...base,
+        type: 'payment_refunded',
+        amount: Math.min(-outstanding, replacementCharge),
+        method: refundMethod || 'cash',
+        description: 'Refund of replacement charge'
+    }], session);
+
+    return [...reversed, ...refunded];
+};
+
+// A fine changed after return: raise the charge, or take back the part no longer owed.
+// What the rental still owes is written off; what was already paid, possibly from the deposit, is refunded
+const recordFineChange = async (rental, previousAmount, reason, refundMethod, userId, session) => {
+    if (!rental.isClosed) return [];
+
+    const base = { reader: rental.reader._id || rental.reader, rental: rental._id, description: reason, recordedBy: userId };
+    const difference = roundMoney(rental.fineAmount - previousAmount);
+
+    if (difference >= 0) {
+        return record([{ ...base, type: 'fine_charged', amount: difference }], session);
+    }
+
+    const reduction = -difference;
+    const { outstanding } = await LedgerEntry.getBalance({ rental: rental._id }, session);
+    const writtenOff = roundMoney(Math.min(reduction, Math.max(0, outstanding)));
+
+    return record([
+        { ...base, type: 'write_off', amount: writtenOff },
+        { ...base, type: 'payment_refunded', amount: reduction - writtenOff, method: refundMethod || 'cash' }
+    ], session);
+};
+
+module.exports = {
+    recordCheckout,
+    recordReturn,
+    recordFound,
+    recordFineChange
+};
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const createError = require('http-errors');
+const Reader = require('../models/Reader');
+const LedgerEntry = require('../models/LedgerEntry');
+const { roundMoney } = require('../utils/money');
+
+// Extend from the current expiry, or from today once it has lapsed.
+// The fee is charged to the reader, and settled right away when a payment method is given
+const renewMembership = async (readerId, { fee, paymentMethod, userId }) => {
+    let reader;
+    let entries = [];
+
+    await mongoose.connection.transaction(async (session) => {
+        reader = await Reader.findById(readerId).populate('category').session(session);
+
+        if (!reader || !reader.isActive) {
+            throw createError(404, 'Reader not found');
+        }
+
+        const amount = roundMoney(fee ?? reader.category.membershipFee);
+        if (Number.isNaN(amount) || amount < 0) {
+            throw createError(400, 'Membership fee must be a non-negative number');
+        }
+
+        const previousExpiry = reader.membershipExpiresAt;
+        const now = new Date();
+        const start = previousExpiry && previousExpiry > now ? previousExpiry : now;
+        reader.membershipExpiresAt = reader.category.membershipEndFrom(start);
+        await reader.save({ session });
+
+        if (amount > 0) {
+            const base = { reader: reader._id, amount, recordedBy: userId };
+            const rows = [{ ...base, type: 'fee_charged', description: 'Membership renewal fee' }];
+            if (paymentMethod) {
+                rows.push({ ...base, type: 'fee_paid', method: paymentMethod, description: 'Membership renewal fee paid' });
+            }
+            entries = await LedgerEntry.insertMany(rows, { session });
+        }
+    });
+
+    return { reader, entries };
+};
+
+// Readers from before membership terms get a card number and one full term from today
+const migrateMemberships = async () => {
+    const report = { cardsIssued: 0, expiriesSet: 0 };
+
+    const cursor = Reader.find({
+        $or: [{ cardNumber: { $exists: false } }, { membershipExpiresAt: { $exists: false } }]
+    }).populate('category').cursor();
+
+    for await (const reader of cursor) {
+        if (!reader.cardNumber) {
+            reader.cardNumber = await Reader.generateCardNumber();
+            report.cardsIssued += 1;
+        }
+        if (!reader.membershipExpiresAt && reader.category) {
+            reader.membershipExpiresAt = reader.category.membershipEndFrom(new Date());
+            report.expiriesSet += 1;
+        }
+        await reader.save();
+    }
+
+    return report;
+};
+
+module.exports = {
+    renewMembership,
+    migrateMemberships
+};
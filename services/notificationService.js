@@ -0,0 +1,290 @@
+const Notification = require('../models/Notification');
+const Rental = require('../models/Rental');
+const Hold = require('../models/Hold');
+const { getTransport } = require('./notificationTransports');
+const { getLibraryDetails } = require('./receiptService');
+const { getReportTimezone } = require('./reportService');
+const { scheduleJob } = require('./scheduler');
+const { libraryEvents, EVENTS } = require('./events');
+const { renderTemplate } = require('../utils/notificationTemplates');
+
+const JOB_NAME = 'notifications';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getIntervalMs = () => {
+    const minutes = Number(process.env.NOTIFY_INTERVAL_MINUTES || 60);
+    return minutes * 60 * 1000;
+};
+
+// Reminders go out this many days before the due date
+const getDueSoonDays = () => Number(process.env.NOTIFY_DUE_SOON_DAYS || 2);
+
+// Overdue notices repeat every this many days while the book is out; 0 sends one notice only
+const getOverdueRepeatDays = () => Number(process.env.NOTIFY_OVERDUE_REPEAT_DAYS || 7);
+
+// Sends of a failed message, including the first
+const getMaxAttempts = () => Number(process.env.NOTIFY_MAX_ATTEMPTS || 3);
+
+// A message still pending after this long was cut off mid-send, e.g. by a crash or restart
+const getPendingTimeoutMs = () => Number(process.env.NOTIFY_PENDING_TIMEOUT_MINUTES || 15) * 60 * 1000;
+
+const formatDate = (date) => new Intl.DateTimeFormat('en-GB', {
+    dateStyle: 'long',
+    timeZone: getReportTimezone()
+}).format(date);
+
+const recipientFor = (reader, channel) => (channel === 'email' ? reader.email : reader.phone);
+
+const baseContext = (reader, book) => {
+    const library = getLibraryDetails();
+    return {
+        fullName: reader.fullName,
+        firstName: reader.firstName,
+        bookTitle: book.title,
+        bookAuthor: book.author,
+        libraryName: library.name,
+        libraryPhone: library.phone
+    };
+};
+
+const emptyResult = () => ({ sent: 0, failed: 0, skipped: 0 });
+
+const sendMessage = async (notification, transport) => {
+    try {
+        const { providerId } = await transport.send({
+            to: notification.recipient,
+            subject: notification.subject,
+            text: notification.body
+        });
+        notification.set({ status: 'sent', providerId, sentAt: new Date(), error: undefined });
+    } catch (error) {
+        notification.set({ status: 'failed', error: error.message.slice(0, 500) });
+    }
+    await notification.save();
+};
+
+// Send one message to the reader on every channel that is turned on and that the reader can be reached on.
+// Each key is sent once per channel: a message already recorded, even as failed, is not sent again here.
+// Opt-outs are recorded as skipped so staff can see why a reader was not told
+const notifyReader = async ({ reader, type, key, context, rental, hold }) => {
+    const result = emptyResult();
+
+    for (const channel of Notification.NOTIFICATION_CHANNELS) {
+        const recipient = recipientFor(reader, channel);
+        const transport = getTransport(channel);
+        if (!recipient || !transport) continue;
+
+        const base = { reader: reader._id, type, channel, key, rental, hold, recipient };
+
+        if (!reader.wantsNotification(type, channel)) {
+            const { upsertedCount } = await Notification.updateOne(
+                { key, channel },
+                { $setOnInsert: { ...base, status: 'skipped' } },
+                { upsert: true }
+            );
+            result.skipped += upsertedCount;
+            continue;
+        }
+
+        const message = renderTemplate(type, channel, context);
+
+        // The unique key claims the message, so two instances never send it twice
+        let notification;
+        try {
+            notification = await Notification.create({
+                ...base,
+                subject: message.subject,
+                body: message.text,
+                transport: transport.name,
+                attempts: 1
+            });
+        } catch (error) {
+            if (error.code === 11000) continue;
+            throw error;
+        }
+
+        await sendMessage(notification, transport);
+        result[notification.status] += 1;
+    }
+
+    return result;
+};
+
+const addResult = (total, result) => {
+    total.sent += result.sent;
+    total.failed += result.failed;
+    total.skipped += result.skipped;
+};
+
+const openRentals = (dueDateFilter) => Rental.find({
+    actualReturnDate: null,
+    status: { $in: ['active', 'overdue'] },
+    expectedReturnDate: dueDateFilter
+})
+    .populate('reader')
+    .populate('book', 'title author')
+    .cursor();
+
+// One reminder per due date, so a renewed rental is reminded again before its new date
+const sendDueSoonReminders = async (now = new Date()) => {
+    const result = { rentals: 0, ...emptyResult() };
+    const until = new Date(now.getTime() + getDueSoonDays() * DAY_MS);
+
+    for await (const rental of openRentals({ $gte: now, $lt: until })) {
+        if (!rental.reader || !rental.reader.isActive) continue;
+        result.rentals += 1;
+
+        addResult(result, await notifyReader({
+            reader: rental.reader,
+            type: 'due_soon',
+            key: `due_soon:${rental._id}:${rental.expectedReturnDate.toISOString()}`,
+            context: {
+                ...baseContext(rental.reader, rental.book),
+                dueDate: formatDate(rental.expectedReturnDate)
+            },
+            rental: rental._id
+        }));
+    }
+
+    return result;
+};
+
+// A notice on the first overdue day, then one every NOTIFY_OVERDUE_REPEAT_DAYS
+const sendOverdueNotices = async (now = new Date()) => {
+    const result = { rentals: 0, ...emptyResult() };
+    const repeatDays = getOverdueRepeatDays();
+
+    for await (const rental of openRentals({ $lt: now })) {
+        if (!rental.reader || !rental.reader.isActive) continue;
+        result.rentals += 1;
+
+        const overdueDays = Math.ceil((now - rental.expectedReturnDate) / DAY_MS);
+        const notice = repeatDays > 0 ? Math.floor((overdueDays - 1) / repeatDays) : 0;
+
+        addResult(result, await notifyReader({
+            reader: rental.reader,
+            type: 'overdue',
+            key: `overdue:${rental._id}:${rental.expectedReturnDate.toISOString()}:${notice}`,
+            context: {
+                ...baseContext(rental.reader, rental.book),
+                dueDate: formatDate(rental.expectedReturnDate),
+                overdueDays,
+                fineAmount: rental.fineAmount.toFixed(2)
+            },
+            rental: rental._id
+        }));
+    }
+
+    return result;
+};
+
+// Still worth sending: the book is not back yet, or the hold is still waiting for pickup
+const isStillRelevant = (notification) => {
+    if (notification.hold) return notification.hold.status === 'ready';
+    if (notification.rental) return !notification.rental.actualReturnDate;
+    return true;
+};
+
+// Failed messages, and pending ones whose send was interrupted, are sent again as they were
+// rendered, unless the reader has opted out or the message no longer applies
+const retryFailedNotifications = async (now = new Date()) => {
+    const result = emptyResult();
+    const maxAttempts = getMaxAttempts();
+    const interrupted = { status: 'pending', updatedAt: { $lt: new Date(now.getTime() - getPendingTimeoutMs()) } };
+    const retryable = { $or: [{ status: 'failed' }, interrupted] };
+
+    // Interrupted sends that used up their attempts are reported as failed instead of staying pending
+    const { modifiedCount } = await Notification.updateMany(
+        { ...interrupted, attempts: { $gte: maxAttempts } },
+        { $set: { status: 'failed', error: 'Sending was interrupted' } }
+    );
+    result.failed += modifiedCount;
+
+    const failed = await Notification.find(
+        { ...retryable, attempts: { $lt: maxAttempts } },
+        '_id'
+    );
+
+    for (const { _id } of failed) {
+        const notification = await Notification.findOneAndUpdate(
+            { _id, ...retryable, attempts: { $lt: maxAttempts } },
+            { $set: { status: 'pending' }, $inc: { attempts: 1 } },
+            { new: true }
+        )
+            .populate('reader')
+            .populate('rental', 'actualReturnDate')
+            .populate('hold', 'status');
+        if (!notification) continue;
+
+        const transport = getTransport(notification.channel);
+        const { reader } = notification;
+        if (!transport || !reader || !reader.wantsNotification(notification.type, notification.channel) || !isStillRelevant(notification)) {
+            notification.status = 'skipped';
+            await notification.save();
+            result.skipped += 1;
+            continue;
+        }
+
+        notification.transport = transport.name;
+        await sendMessage(notification, transport);
+        result[notification.status] += 1;
+    }
+
+    return result;
+};
+
+const sendScheduledNotifications = async (now = new Date()) => ({
+    dueSoon: await sendDueSoonReminders(now),
+    overdue: await sendOverdueNotices(now),
+    retried: await retryFailedNotifications(now)
+});
+
+const notifyHoldReady = async (holdId) => {
+    const hold = await Hold.findById(holdId)
+        .populate('reader')
+        .populate('book', 'title author');
+
+    if (!hold || hold.status !== 'ready' || !hold.reader) {
+        return emptyResult();
+    }
+
+    return notifyReader({
+        reader: hold.reader,
+        type: 'hold_ready',
+        key: `hold_ready:${hold._id}:${hold.readyAt.toISOString()}`,
+        context: {
+            ...baseContext(hold.reader, hold.book),
+            pickupDeadline: formatDate(hold.pickupDeadline)
+        },
+        hold: hold._id
+    });
+};
+
+// Readers hear about a ready hold as soon as its copy is set aside
+libraryEvents.on(EVENTS.HOLD_READY, (hold) => {
+    notifyHoldReady(hold._id).catch((error) => {
+        console.error(`Hold ready notification for ${hold._id} failed:`, error.message);
+    });
+});
+
+const startNotifications = () => {
+    const intervalMs = getIntervalMs();
+
+    if (intervalMs <= 0) {
+        console.log('Scheduled notifications are disabled');
+        return;
+    }
+
+    scheduleJob(JOB_NAME, intervalMs, sendScheduledNotifications);
+};
+
+module.exports = {
+    JOB_NAME,
+    notifyReader,
+    notifyHoldReady,
+    sendDueSoonReminders,
+    sendOverdueNotices,
+    retryFailedNotifications,
+    sendScheduledNotifications,
+    startNotifications
+};
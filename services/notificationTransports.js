@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// A transport sends one message: send({ to, subject, text }) resolves to { providerId }.
+// Each is created for the channels it can serve; file and console serve both for local testing
+const TRANSPORTS = {
+    smtp: {
+        channels: ['email'],
+        create: () => {
+            const port = Number(process.env.SMTP_PORT || 587);
+            const transporter = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port,
+                secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+                    : undefined
+            });
+            const from = process.env.NOTIFY_EMAIL_FROM || process.env.LIBRARY_EMAIL;
+
+            return async ({ to, subject, text }) => {
+                const info = await transporter.sendMail({ from, to, subject, text });
+                return { providerId: info.messageId };
+            };
+        }
+    },
+    // Generic HTTP gateway: POSTs { to, from, message } as JSON and reads the message id from the reply
+    'sms-gateway': {
+        channels: ['sms'],
+        create: () => async ({ to, text }) => {
+            const response = await fetch(process.env.SMS_GATEWAY_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(process.env.SMS_GATEWAY_TOKEN && { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` })
+                },
+                body: JSON.stringify({ to, from: process.env.SMS_SENDER, message: text }),
+                signal: AbortSignal.timeout(10000)
+            });
+
+            if (!response.ok) {
+                throw new Error(`SMS gateway responded with ${response.status}`);
+            }
+
+            const reply = await response.json().catch(() => ({}));
+            const providerId = reply.id || reply.messageId;
+            return { providerId: providerId ? String(providerId) : undefined };
+        }
+    },
+    // One JSON line per message, for development and tests
+    file: {
+        channels: ['email', 'sms'],
+        create: (channel) => {
+            const file = process.env.NOTIFICATION_FILE_PATH || 'logs/notifications.log';
+
+            return async (message) => {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                await fs.promises.appendFile(file, JSON.stringify({ channel, sentAt: new Date(), ...message }) + '\n');
+                return {};
+            };
+        }
+    },
+    console: {
+        channels: ['email', 'sms'],
+        create: (channel) => async ({ to, subject, text }) => {
+            console.log(`[${channel}] to ${to}${subject ? ` - ${subject}` : ''}\n${text}`);
+            return {};
+        }
+    }
+};
+
+const instances = new Map();
+
+// Add or replace a transport, e.g. another SMS provider
+const registerTransport = (name, { channels, create }) => {
+    TRANSPORTS[name] = { channels, create };
+    instances.clear();
+};
+
+// Channels are off until a transport is chosen. Messages written to a file or the console count as
+// sent, so an unconfigured deploy must not use them or its readers would never get the real ones
+const getTransportName = (channel) => {
+    const variable = channel === 'email' ? 'NOTIFY_EMAIL_TRANSPORT' : 'NOTIFY_SMS_TRANSPORT';
+    return process.env[variable] || 'none';
+};
+
+// { name, send } for the channel, or null when the channel is turned off ("none")
+const getTransport = (channel) => {
+    const name = getTransportName(channel);
+    if (name === 'none') return null;
+
+    const key = `${channel}:${name}`;
+    if (!instances.has(key)) {
+        const transport = TRANSPORTS[name];
+        if (!transport || !transport.channels.includes(channel)) {
+            throw new Error(`Unknown ${channel} transport: ${name}`);
+        }
+        instances.set(key, { name, send: transport.create(channel) });
+    }
+
+    return instances.get(key);
+};
+
+module.exports = {
+    registerTransport,
+    getTransport
+};
@@ -0,0 +1,252 @@
+const createError = require('http-errors');
+const Rental = require('../models/Rental');
+const Reader = require('../models/Reader');
+const ReaderCategory = require('../models/ReaderCategory');
+const Book = require('../models/Book');
+const Copy = require('../models/Copy');
+const LedgerEntry = require('../models/LedgerEntry');
+const { roundMoney } = require('../utils/money');
+const { calculateRentalDays, priceRentalDays } = require('../utils/pricing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days overdue, both ends included; the last bucket is open-ended
+const AGING_BUCKETS = [
+    { key: '1-7', min: 1, max: 7 },
+    { key: '8-30', min: 8, max: 30 },
+    { key: '31-90', min: 31, max: 90 },
+    { key: '90+', min: 91, max: null }
+];
+
+const toLimit = (value, fallback) => Math.min(500, Math.max(1, parseInt(value) || fallback));
+
+const bucketFor = (days) => AGING_BUCKETS.find(bucket => days >= bucket.min && (bucket.max === null || days <= bucket.max));
+
+// Unreturned rentals past their due date, optionally only those in one bucket or of one reader category
+const buildAgingMatch = async ({ bucket, category }, now) => {
+    const match = {
+        actualReturnDate: null,
+        status: { $in: ['active', 'overdue'] },
+        expectedReturnDate: { $lt: now }
+    };
+
+    if (bucket) {
+        const range = AGING_BUCKETS.find(item => item.key === bucket);
+        if (!range) {
+            throw createError(400, `bucket must be one of: ${AGING_BUCKETS.map(item => item.key).join(', ')}`);
+        }
+        // overdueDays >= min while the due date is more than min - 1 days ago, <= max while at most max days ago
+        match.expectedReturnDate.$lt = new Date(now.getTime() - (range.min - 1) * DAY_MS);
+        if (range.max !== null) {
+            match.expectedReturnDate.$gte = new Date(now.getTime() - range.max * DAY_MS);
+        }
+    }
+
+    const readerMatch = {};
+    if (category) {
+        const found = await ReaderCategory.resolve(category);
+        readerMatch['reader.category'] = found ? found._id : null;
+    }
+
+    return { match, readerMatch };
+};
+
+// Overdue rentals with the reader's contact details, the book and the deposit still held for each;
+// sorted by reader so every reader's rentals come together
+const agingPipeline = ({ match, readerMatch }) => [
+    { $match: match },
+    {
+        $lookup: {
+            from: Reader.collection.name,
+            localField: 'reader',
+            foreignField: '_id',
+            pipeline: [{ $project: { cardNumber: 1, lastName: 1, firstName: 1, middleName: 1, phone: 1, email: 1, address: 1, category: 1 } }],
+            as: 'reader'
+        }
+    },
+    { $unwind: '$reader' },
+    { $match: readerMatch },
+    {
+        $lookup: {
+            from: Book.collection.name,
+            localField: 'book',
+            foreignField: '_id',
+            pipeline: [{ $project: { title: 1, author: 1 } }],
+            as: 'book'
+        }
+    },
+    { $unwind: '$book' },
+    {
+        $lookup: {
+            from: Copy.collection.name,
+            localField: 'copy',
+            foreignField: '_id',
+            pipeline: [{ $project: { barcode: 1 } }],
+            as: 'copy'
+        }
+    },
+    {
+        $lookup: {
+            from: LedgerEntry.collection.name,
+            localField: '_id',
+            foreignField: 'rental',
+            pipeline: [
+                {
+                    $group: {
+                        _id: null,
+                        held: {
+                            $sum: {
+                                $switch: {
+                                    branches: [
+                                        { case: { $eq: ['$type', 'deposit_collected'] }, then: '$amount' },
+                                        { case: { $eq: ['$type', 'deposit_refunded'] }, then: { $multiply: ['$amount', -1] } },
+                                        { case: { $eq: ['$method', 'deposit'] }, then: { $multiply: ['$amount', -1] } }
+                                    ],
+                                    default: 0
+                                }
+                            }
+                        }
+                    }
+                }
+            ],
+            as: 'deposit'
+        }
+    },
+    {
+        $set: {
+            copy: { $first: '$copy' },
+            depositHeld: { $ifNull: [{ $first: '$deposit.held' }, 0] }
+        }
+    },
+    { $sort: { 'reader.lastName': 1, 'reader.firstName': 1, 'reader._id': 1, expectedReturnDate: 1 } }
+];
+
+const fullName = (reader) => [reader.lastName, reader.firstName, reader.middleName].filter(Boolean).join(' ');
+
+// One overdue rental as of now. The fine is the one accrued by the last overdue sweep; the fee
+// is what returning the book now would cost, priced the same way as on return
+const agingLine = (row, now) => {
+    const overdueDays = Math.ceil((now - row.expectedReturnDate) / DAY_MS);
+    const rentalDays = Math.max(1, calculateRentalDays(row.issueDate, now));
+    const rentalFee = priceRentalDays(row, rentalDays).total;
+    const owed = roundMoney(rentalFee + row.fineAmount);
+    const depositHeld = roundMoney(row.depositHeld);
+
+    return {
+        rentalId: row._id,
+        reader: {
+            id: row.reader._id,
+            cardNumber: row.reader.cardNumber,
+            fullName: fullName(row.reader),
+            lastName: row.reader.lastName,
+            firstName: row.reader.firstName,
+            middleName: row.reader.middleName,
+            phone: row.reader.phone,
+            email: row.reader.email,
+            address: row.reader.address
+        },
+        book: { id: row.book._id, title: row.book.title, author: row.book.author },
+        copyBarcode: row.copy ? row.copy.barcode : null,
+        issueDate: row.issueDate,
+        dueDate: row.expectedReturnDate,
+        overdueDays,
+        bucket: bucketFor(overdueDays).key,
+        fineAmount: row.fineAmount,
+        rentalFee,
+        owed,
+        depositHeld,
+        uncovered: roundMoney(Math.max(0, owed - depositHeld))
+    };
+};
+
+const emptyTotals = () => ({ rentals: 0, fines: 0, owed: 0, depositHeld: 0, uncovered: 0 });
+
+const addLine = (totals, line) => {
+    totals.rentals += 1;
+    totals.fines += line.fineAmount;
+    totals.owed += line.owed;
+    totals.depositHeld += line.depositHeld;
+    totals.uncovered += line.uncovered;
+};
+
+const finishTotals = (totals) => ({
+    ...totals,
+    fines: roundMoney(totals.fines),
+    owed: roundMoney(totals.owed),
+    depositHeld: roundMoney(totals.depositHeld),
+    uncovered: roundMoney(totals.uncovered)
+});
+
+// Overdue rentals bucketed by days overdue, with accrued fines and how far the deposits held cover
+// what each reader owes. Grouped per reader with contact details, the longest overdue readers first.
+// All overdue rentals are read to total them; only the requested page of readers is returned
+const getOverdueAging = async (params) => {
+    const now = new Date();
+    const page = Math.max(1, parseInt(params.page) || 1);
+    const limit = toLimit(params.limit, 50);
+
+    const rows = await Rental.aggregate(agingPipeline(await buildAgingMatch(params, now)));
+
+    const buckets = new Map(AGING_BUCKETS.map(bucket => [bucket.key, { ...emptyTotals(), readers: new Set() }]));
+    const readers = new Map();
+    const totals = emptyTotals();
+
+    rows.forEach(row => {
+        const { reader, ...line } = agingLine(row, now);
+        const key = String(reader.id);
+
+        if (!readers.has(key)) {
+            readers.set(key, { reader, rentals: [], totals: emptyTotals(), oldestOverdueDays: 0 });
+        }
+        const group = readers.get(key);
+        group.rentals.push(line);
+        addLine(group.totals, line);
+        group.oldestOverdueDays = Math.max(group.oldestOverdueDays, line.overdueDays);
+
+        const bucket = buckets.get(line.bucket);
+        addLine(bucket, line);
+        bucket.readers.add(key);
+
+        addLine(totals, line);
+    });
+
+    const sorted = [...readers.values()].sort((a, b) => b.oldestOverdueDays - a.oldestOverdueDays || b.totals.owed - a.totals.owed);
+
+    return {
+        asOf: now,
+        summary: {
+            buckets: AGING_BUCKETS.map(({ key, min, max }) => {
+                const { readers: bucketReaders, ...bucketTotals } = buckets.get(key);
+                return { bucket: key, minDays: min, maxDays: max, readers: bucketReaders.size, ...finishTotals(bucketTotals) };
+            }),
+            totals: { readers: readers.size, ...finishTotals(totals) }
+        },
+        readers: sorted.slice((page - 1) * limit, page * limit).map(group => ({
+            reader: group.reader,
+            oldestOverdueDays: group.oldestOverdueDays,
+            bucket: bucketFor(group.oldestOverdueDays).key,
+            totals: finishTotals(group.totals),
+            rentals: group.rentals
+        })),
+        pagination: {
+            current: page,
+            pages: Math.ceil(readers.size / limit),
+            total: readers.size
+        }
+    };
+};
+
+// The same rentals one per row for exports, read through a cursor
+const getOverdueAgingCursor = async (params) => {
+    const now = new Date();
+    const pipeline = agingPipeline(await buildAgingMatch(params, now));
+
+    // The cursor passes null at the end through the transform
+    return Rental.aggregate(pipeline).cursor().map(row => row && agingLine(row, now));
+};
+
+module.exports = {
+    AGING_BUCKETS,
+    getOverdueAging,
+    getOverdueAgingCursor
+};
@@ -0,0 +1,74 @@
+const Rental = require('../models/Rental');
+const FinePolicy = require('../models/FinePolicy');
+const { scheduleJob } = require('./scheduler');
+
+const JOB_NAME = 'overdue-sweeper';
+
+const getIntervalMs = () => {
+    const minutes = Number(process.env.OVERDUE_SWEEP_INTERVAL_MINUTES || 60);
+    return minutes * 60 * 1000;
+};
+
+// Flag unreturned rentals past their due date and refresh their accrued fines
+const sweepOverdueRentals = async (now = new Date()) => {
+    const finePolicy = await FinePolicy.getActive();
+    const result = { checked: 0, markedOverdue: 0, finesUpdated: 0 };
+
+    const cursor = Rental.find({
+        actualReturnDate: null,
+        status: { $in: ['active', 'overdue'] },
+        expectedReturnDate: { $lt: now }
+    }).populate({ path: 'reader', select: 'category', populate: { path: 'category' } }).cursor();
+
+    for await (const rental of cursor) {
+        result.checked += 1;
+
+        const wasOverdue = rental.status === 'overdue';
+        const previousFine = rental.fineAmount;
+
+        rental.applyFinePolicy(finePolicy, rental.reader && rental.reader.category);
+        rental.recalculate();
+
+        // Only while the rental is as it was read: a return, renewal or fine adjustment in the
+        // meantime wins and the rental is swept again on the next run
+        const { matchedCount } = await Rental.updateOne({
+            _id: rental._id,
+            actualReturnDate: null,
+            status: { $in: ['active', 'overdue'] },
+            expectedReturnDate: rental.expectedReturnDate,
+            fineAdjustments: { $size: rental.fineAdjustments.length }
+        }, {
+            $set: {
+                status: rental.status,
+                fineAmount: rental.fineAmount,
+                fineDetails: rental.fineDetails,
+                taxAmount: rental.taxAmount,
+                totalAmount: rental.totalAmount
+            }
+        });
+        if (!matchedCount) continue;
+
+        if (!wasOverdue) result.markedOverdue += 1;
+        if (rental.fineAmount !== previousFine) result.finesUpdated += 1;
+    }
+
+    return result;
+};
+
+const startOverdueSweeper = () => {
+    const intervalMs = getIntervalMs();
+
+    if (intervalMs <= 0) {
+        console.log('Overdue sweeper is disabled');
+        return;
+    }
+
+    scheduleJob(JOB_NAME, intervalMs, sweepOverdueRentals);
+    console.log(`Overdue sweeper scheduled every ${intervalMs / 60000} minutes`);
+};
+
+module.exports = {
+    JOB_NAME,
+    sweepOverdueRentals,
+    startOverdueSweeper
+};
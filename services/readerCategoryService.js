@@ -0,0 +1,72 @@
+const createError = require('http-errors');
+const Reader = require('../models/Reader');
+const ReaderCategory = require('../models/ReaderCategory');
+
+const titleCase = (code) => code.charAt(0).toUpperCase() + code.slice(1);
+
+// Readers from before the category collection store the category code as a string.
+// Creates the default categories on an empty collection, then points every such reader at its category.
+// Safe to run on every start: migrated readers no longer match
+const migrateReaderCategories = async () => {
+    const report = { categoriesCreated: 0, readersMigrated: 0 };
+
+    if (await ReaderCategory.countDocuments() === 0) {
+        await ReaderCategory.insertMany(ReaderCategory.DEFAULT_CATEGORIES);
+        report.categoriesCreated += ReaderCategory.DEFAULT_CATEGORIES.length;
+    }
+
+    // Raw collection access, the schema would cast these values to ObjectIds
+    const legacyCodes = await Reader.collection.distinct('category', { category: { $type: 'string' } });
+
+    for (const code of legacyCodes) {
+        let category = await ReaderCategory.findOne({ code: code.toLowerCase() });
+        if (!category) {
+            category = await ReaderCategory.create({ code, name: titleCase(code) });
+            report.categoriesCreated += 1;
+        }
+
+        const result = await Reader.collection.updateMany(
+            { category: code },
+            { $set: { category: category._id, discountPercentage: category.discountPercentage } }
+        );
+        report.readersMigrated += result.modifiedCount;
+    }
+
+    const defaultCategory = await ReaderCategory.getDefault();
+    if (defaultCategory) {
+        const result = await Reader.collection.updateMany(
+            { $or: [{ category: { $exists: false } }, { category: null }] },
+            { $set: { category: defaultCategory._id, discountPercentage: defaultCategory.discountPercentage } }
+        );
+        report.readersMigrated += result.modifiedCount;
+    }
+
+    return report;
+};
+
+// Category given by ID or code when a reader is created or moved; the default when none is given
+const resolveCategory = async (value) => {
+    const category = value === undefined || value === null || value === ''
+        ? await ReaderCategory.getDefault()
+        : await ReaderCategory.resolve(value);
+
+    if (!category || !category.isActive) {
+        throw createError(400, value ? `Unknown reader category: ${value}` : 'No default reader category is configured');
+    }
+
+    return category;
+};
+
+// Keep the discount copied onto readers in line with their category
+const syncReaderDiscounts = (category) => {
+    return Reader.updateMany(
+        { category: category._id },
+        { $set: { discountPercentage: category.discountPercentage } }
+    );
+};
+
+module.exports = {
+    migrateReaderCategories,
+    resolveCategory,
+    syncReaderDiscounts
+};
@@ -0,0 +1,89 @@
+const Receipt = require('../models/Receipt');
+const LedgerEntry = require('../models/LedgerEntry');
+const { roundMoney } = require('../utils/money');
+const { calculateRentalDays, calculateTax, priceRentalDays } = require('../utils/pricing');
+
+// Printed in the receipt header
+const getLibraryDetails = () => ({
+    name: process.env.LIBRARY_NAME || 'Library Rental Service',
+    address: process.env.LIBRARY_ADDRESS || '',
+    phone: process.env.LIBRARY_PHONE || '',
+    email: process.env.LIBRARY_EMAIL || ''
+});
+
+const describeRental = ({ rental, reader, book, copy }) => ({
+    readerName: reader.fullName,
+    cardNumber: reader.cardNumber,
+    bookTitle: book.title,
+    bookAuthor: book.author,
+    copyBarcode: copy ? copy.barcode : undefined,
+    issueDate: rental.issueDate,
+    expectedReturnDate: rental.expectedReturnDate,
+    actualReturnDate: rental.actualReturnDate,
+    outcome: rental.outcome
+});
+
+// At checkout only the deposit is paid, the fee is an estimate for the agreed loan period
+const checkoutAmounts = (rental) => {
+    const rentalDays = calculateRentalDays(rental.issueDate, rental.expectedReturnDate);
+    const rentalFee = roundMoney(rental.rentalPricePerDay * rentalDays);
+
+    return {
+        rentalDays,
+        amounts: {
+            depositAmount: rental.depositAmount,
+            rentalFee,
+            discountAmount: rental.discountAmount,
+            taxAmount: calculateTax(rentalFee - rental.discountAmount, rental.taxRate),
+            total: rental.depositAmount
+        }
+    };
+};
+
+// At return everything charged for the loan, and how the deposit settled it according to the ledger
+const returnAmounts = async (rental, session) => {
+    const rentalDays = Math.max(1, calculateRentalDays(rental.issueDate, rental.actualReturnDate));
+    const priced = priceRentalDays(rental, rentalDays);
+    const { depositRefunded, outstanding } = await LedgerEntry.getBalance({ rental: rental._id }, session);
+
+    return {
+        rentalDays,
+        amounts: {
+            depositAmount: rental.depositAmount,
+            rentalFee: priced.baseCost,
+            discountAmount: priced.discountAmount,
+            taxAmount: rental.taxAmount,
+            fineAmount: rental.fineAmount,
+            damageCharge: rental.damageCharge,
+            replacementCharge: rental.replacementCharge,
+            depositRefunded,
+            balanceDue: Math.max(0, outstanding),
+            total: roundMoney(rental.totalAmount + rental.damageCharge + rental.replacementCharge)
+        }
+    };
+};
+
+// Number and store the receipt of a checkout or return, in the transaction that records it, so every
+// loan has exactly one receipt of each kind and printing never changes it
+const issueReceipt = async ({ rental, reader, book, copy }, type, userId, session) => {
+    const { rentalDays, amounts } = type === 'checkout'
+        ? checkoutAmounts(rental)
+        : await returnAmounts(rental, session);
+
+    const [receipt] = await Receipt.create([{
+        receiptNumber: await Receipt.generateReceiptNumber(session),
+        type,
+        rental: rental._id,
+        reader: reader._id,
+        details: { ...describeRental({ rental, reader, book, copy }), rentalDays },
+        amounts,
+        issuedBy: userId
+    }], { session });
+
+    return receipt;
+};
+
+module.exports = {
+    getLibraryDetails,
+    issueReceipt
+};
@@ -0,0 +1,308 @@
+const createError = require('http-errors');
+const LedgerEntry = require('../models/LedgerEntry');
+const Rental = require('../models/Rental');
+const Book = require('../models/Book');
+const Reader = require('../models/Reader');
+const ReaderCategory = require('../models/ReaderCategory');
+const User = require('../models/User');
+const { roundMoney } = require('../utils/money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVALS = ['day', 'week', 'month'];
+const REVENUE_GROUPS = ['genre', 'category', 'staff'];
+
+// Periods are cut at midnight in this time zone; weeks start on Monday
+const getReportTimezone = () => process.env.REPORT_TIMEZONE || 'UTC';
+
+const parseDate = (value, name) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw createError(400, `${name} must be a valid date`);
+    }
+    return date;
+};
+
+// [from, to) from query parameters, the last 30 days by default.
+// A date-only "to" includes that whole day
+const parseRange = ({ from, to }) => {
+    const end = to ? parseDate(to, 'to') : new Date();
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        end.setTime(end.getTime() + DAY_MS);
+    }
+    const start = from ? parseDate(from, 'from') : new Date(end.getTime() - 30 * DAY_MS);
+
+    if (start >= end) {
+        throw createError(400, 'from must be before to');
+    }
+
+    return { from: start, to: end };
+};
+
+const METRICS = [
+    'rentalFees',
+    'membershipFees',
+    'fines',
+    'damageCharges',
+    'writeOffs',
+    'discounts',
+    'revenue',
+    'paymentsReceived',
+    'depositsCollected',
+    'depositsRefunded',
+    'depositsHeld'
+];
+
+const emptyMetrics = () => METRICS.reduce((metrics, name) => ({ ...metrics, [name]: 0 }), {});
+
+// Fold one aggregated ledger row into the metrics
+const addRow = (metrics, row) => {
+    const { type, withRental, fromDeposit } = row._id;
+    const amount = row.total;
+
+    switch (type) {
+        case 'fee_charged':
+            if (withRental) {
+                metrics.rentalFees += amount;
+                metrics.discounts += row.discount;
+            } else {
+                metrics.membershipFees += amount;
+            }
+            break;
+        case 'fine_charged':
+            metrics.fines += amount;
+            break;
+        case 'damage_charged':
+        case 'replacement_charged':
+            metrics.damageCharges += amount;
+            break;
+        case 'charge_reversed':
+            metrics.damageCharges -= amount;
+            break;
+        case 'write_off':
+            metrics.writeOffs += amount;
+            break;
+        case 'fee_paid':
+        case 'fine_paid':
+            metrics.paymentsReceived += amount;
+            if (fromDeposit) metrics.depositsHeld -= amount;
+            break;
+        case 'payment_refunded':
+            metrics.paymentsReceived -= amount;
+            break;
+        case 'deposit_collected':
+            metrics.depositsCollected += amount;
+            metrics.depositsHeld += amount;
+            break;
+        case 'deposit_refunded':
+            metrics.depositsRefunded += amount;
+            metrics.depositsHeld -= amount;
+            break;
+        default:
+            break;
+    }
+};
+
+const finishMetrics = (metrics) => {
+    metrics.revenue = metrics.rentalFees + metrics.membershipFees + metrics.fines + metrics.damageCharges - metrics.writeOffs;
+    METRICS.forEach(name => {
+        metrics[name] = roundMoney(metrics[name]);
+    });
+    return metrics;
+};
+
+// Ledger entries joined with what they are grouped by: the book's genre through the rental,
+// the reader's current category, or the staff user who recorded the entry
+const groupKeyStages = (groupBy) => {
+    if (groupBy === 'genre') {
+        return [
+            { $lookup: { from: Book.collection.name, localField: 'rentalDoc.book', foreignField: '_id', as: 'bookDoc' } },
+            { $set: { groupKey: { $first: '$bookDoc.genre' } } }
+        ];
+    }
+    if (groupBy === 'category') {
+        return [
+            { $lookup: { from: Reader.collection.name, localField: 'reader', foreignField: '_id', as: 'readerDoc' } },
+            { $set: { groupKey: { $first: '$readerDoc.category' } } }
+        ];
+    }
+    if (groupBy === 'staff') {
+        return [{ $set: { groupKey: '$recordedBy' } }];
+    }
+    return [{ $set: { groupKey: null } }];
+};
+
+const aggregateLedger = (match, groupBy, periodExpression) => LedgerEntry.aggregate([
+    { $match: match },
+    {
+        $lookup: {
+            from: Rental.collection.name,
+            localField: 'rental',
+            foreignField: '_id',
+            pipeline: [{ $project: { book: 1, discountAmount: 1 } }],
+            as: 'rentalDoc'
+        }
+    },
+    { $set: { rentalDoc: { $first: '$rentalDoc' } } },
+    ...groupKeyStages(groupBy),
+    {
+        $group: {
+            _id: {
+                period: periodExpression,
+                group: '$groupKey',
+                type: '$type',
+                withRental: { $gt: ['$rental', null] },
+                fromDeposit: { $eq: ['$method', 'deposit'] }
+            },
+            total: { $sum: '$amount' },
+            // Fees charged before the discount was recorded on the entry fall back to the rental's
+            discount: { $sum: { $ifNull: ['$discountAmount', '$rentalDoc.discountAmount', 0] } }
+        }
+    }
+]);
+
+// Display names for group keys
+const labelGroups = async (groupBy, keys) => {
+    const ids = keys.filter(Boolean);
+    if (groupBy === 'category') {
+        const categories = await ReaderCategory.find({ _id: { $in: ids } }, 'code name');
+        return new Map(categories.map(category => [String(category._id), category.name]));
+    }
+    if (groupBy === 'staff') {
+        const users = await User.find({ _id: { $in: ids } }, 'username');
+        return new Map(users.map(user => [String(user._id), user.username]));
+    }
+    return new Map(ids.map(key => [String(key), String(key)]));
+};
+
+const change = (current, previous) => {
+    const amount = roundMoney(current - previous);
+    return {
+        amount,
+        percent: previous ? roundMoney((amount / Math.abs(previous)) * 100) : null
+    };
+};
+
+// Revenue from the ledger per day, week or month, optionally split by genre, reader category or staff user,
+// with totals compared against the period of the same length just before.
+// depositsHeld is the balance of deposits held at the end of each period, the other metrics are amounts within it
+const getRevenueReport = async (params) => {
+    const { from, to } = parseRange(params);
+    const interval = params.interval || 'day';
+    const groupBy = params.groupBy || null;
+    const timezone = getReportTimezone();
+
+    if (!INTERVALS.includes(interval)) {
+        throw createError(400, `interval must be one of: ${INTERVALS.join(', ')}`);
+    }
+    if (groupBy && !REVENUE_GROUPS.includes(groupBy)) {
+        throw createError(400, `groupBy must be one of: ${REVENUE_GROUPS.join(', ')}`);
+    }
+
+    const periodExpression = {
+        $dateTrunc: { date: '$createdAt', unit: interval, timezone, startOfWeek: 'monday' }
+    };
+    const previousFrom = new Date(from.getTime() - (to.getTime() - from.getTime()));
+
+    const [rows, openingRows, previousRows] = await Promise.all([
+        aggregateLedger({ createdAt: { $gte: from, $lt: to } }, groupBy, periodExpression),
+        // Deposits still held when the range starts
+        aggregateLedger({
+            createdAt: { $lt: from },
+            $or: [{ type: { $in: ['deposit_collected', 'deposit_refunded'] } }, { method: 'deposit' }]
+        }, groupBy, null),
+        aggregateLedger({ createdAt: { $gte: previousFrom, $lt: from } }, groupBy, null)
+    ]);
+
+    const keyOf = (group) => (group ? String(group) : null);
+    const groupKeys = new Map();
+    [...rows, ...openingRows].forEach(row => groupKeys.set(keyOf(row._id.group), row._id.group));
+    const labels = await labelGroups(groupBy, [...groupKeys.values()]);
+
+    // Opening deposit balance per group, carried from period to period
+    const held = new Map();
+    openingRows.forEach(row => {
+        const metrics = emptyMetrics();
+        addRow(metrics, row);
+        const key = keyOf(row._id.group);
+        held.set(key, (held.get(key) || 0) + metrics.depositsHeld);
+    });
+
+    const periods = new Map();
+    rows.forEach(row => {
+        const period = row._id.period.toISOString();
+        const key = keyOf(row._id.group);
+        if (!periods.has(period)) periods.set(period, new Map());
+        const groups = periods.get(period);
+        if (!groups.has(key)) groups.set(key, emptyMetrics());
+        addRow(groups.get(key), row);
+    });
+
+    const totalsByGroup = new Map();
+    const series = [...periods.keys()].sort().flatMap(period => {
+        const groups = periods.get(period);
+        return [...groupKeys.keys()].filter(key => groups.has(key)).map(key => {
+            const metrics = groups.get(key);
+            const totals = totalsByGroup.get(key) || emptyMetrics();
+            METRICS.forEach(name => {
+                totals[name] += metrics[name];
+            });
+            totalsByGroup.set(key, totals);
+
+            held.set(key, (held.get(key) || 0) + metrics.depositsHeld);
+            metrics.depositsHeld = held.get(key);
+
+            return {
+                period,
+                ...(groupBy && { group: { key, label: labels.get(key) || null } }),
+                ...finishMetrics(metrics)
+            };
+        });
+    });
+
+    const closingHeld = [...held.values()].reduce((sum, value) => sum + value, 0);
+    const totals = emptyMetrics();
+    [...totalsByGroup.values()].forEach(groupTotals => {
+        METRICS.forEach(name => {
+            totals[name] += groupTotals[name];
+        });
+    });
+    finishMetrics(totals);
+    totals.depositsHeld = roundMoney(closingHeld);
+
+    const previous = emptyMetrics();
+    previousRows.forEach(row => addRow(previous, row));
+    finishMetrics(previous);
+    // Deposit balance at the end of the previous period is the opening balance of this one
+    const openingHeld = closingHeld - [...totalsByGroup.values()].reduce((sum, groupTotals) => sum + groupTotals.depositsHeld, 0);
+    previous.depositsHeld = roundMoney(openingHeld);
+
+    return {
+        range: { from, to, interval, timezone, groupBy },
+        totals,
+        ...(groupBy && {
+            groups: [...totalsByGroup.entries()].map(([key, groupTotals]) => ({
+                key,
+                label: labels.get(key) || null,
+                ...finishMetrics({ ...groupTotals, depositsHeld: held.get(key) || 0 })
+            }))
+        }),
+        series,
+        comparison: {
+            from: previousFrom,
+            to: from,
+            totals: previous,
+            change: METRICS.reduce((changes, name) => ({
+                ...changes,
+                [name]: change(totals[name], previous[name])
+            }), {})
+        }
+    };
+};
+
+module.exports = {
+    DAY_MS,
+    INTERVALS,
+    getReportTimezone,
+    parseRange,
+    getRevenueReport
+};
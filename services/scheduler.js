@@ -0,0 +1,90 @@
+const os = require('os');
+const crypto = require('crypto');
+const JobLock = require('../models/JobLock');
+
+// Identifies this process when several instances share the database
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const timers = new Map();
+
+// Timers fire a little early or late; without some slack the next tick would find
+// nextRunAt still in the future and the job would only run every second interval
+const getTolerance = (intervalMs) => Math.min(intervalMs / 10, 60 * 1000);
+
+// scheduledAt is when the tick fired, before the lock round-trip, so nextRunAt lines up with the next tick
+const runJob = async (name, intervalMs, task, scheduledAt = new Date()) => {
+    const lockMs = Math.max(intervalMs, 60 * 1000);
+    const lock = await JobLock.acquire(name, instanceId, lockMs);
+
+    if (!lock) {
+        return null;
+    }
+
+    const startedAt = new Date();
+    const updates = {
+        lastRunAt: startedAt,
+        nextRunAt: new Date(scheduledAt.getTime() + intervalMs - getTolerance(intervalMs)),
+        lastError: null
+    };
+
+    try {
+        updates.lastResult = await task();
+    } catch (error) {
+        updates.lastError = error.message;
+        console.error(`Scheduled job "${name}" failed:`, error.message);
+    }
+
+    updates.lastDurationMs = Date.now() - startedAt.getTime();
+    await JobLock.release(name, instanceId, updates);
+
+    return updates;
+};
+
+// Run task every intervalMs, but only on the instance that holds the job lock
+const scheduleJob = (name, intervalMs, task) => {
+    if (timers.has(name)) {
+        return;
+    }
+
+    const tick = () => {
+        runJob(name, intervalMs, task, new Date()).catch((error) => {
+            console.error(`Scheduled job "${name}" could not run:`, error.message);
+        });
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    timer.unref();
+    timers.set(name, timer);
+
+    tick();
+};
+
+const stopJobs = () => {
+    timers.forEach(timer => clearInterval(timer));
+    timers.clear();
+};
+
+const getJobStatus = async (name) => {
+    const lock = await JobLock.findOne({ name }).lean();
+
+    if (!lock) {
+        return { name, scheduled: timers.has(name), lastRunAt: null };
+    }
+
+    return {
+        name,
+        scheduled: timers.has(name),
+        running: Boolean(lock.lockedUntil && lock.lockedUntil > new Date()),
+        lastRunAt: lock.lastRunAt || null,
+        nextRunAt: lock.nextRunAt || null,
+        lastDurationMs: lock.lastDurationMs,
+        lastResult: lock.lastResult,
+        lastError: lock.lastError || null
+    };
+};
+
+module.exports = {
+    scheduleJob,
+    stopJobs,
+    getJobStatus
+};
@@ -0,0 +1,103 @@
+const createError = require('http-errors');
+const Rental = require('../models/Rental');
+const LedgerEntry = require('../models/LedgerEntry');
+
+const getStandingRules = () => ({
+    maxOutstandingBalance: Number(process.env.READER_MAX_OUTSTANDING_BALANCE || 20)
+});
+
+// Everything that stops a reader from borrowing, as { code, message, ... } for the front desk.
+// Checkout also checks the membership and the rental limit for the number of books being lent; a renewal passes the rental it extends so it is not held against itself
+const evaluateStanding = async (reader, { checkout = false, newRentals = 1, excludeRental } = {}) => {
+    const rules = getStandingRules();
+    const reasons = [];
+
+    if (reader.isSuspended) {
+        const { reason, until } = reader.suspension;
+        reasons.push({
+            code: 'SUSPENDED',
+            message: until
+                ? `Reader is suspended until ${until.toISOString().slice(0, 10)}: ${reason}`
+                : `Reader is suspended: ${reason}`,
+            reason,
+            until: until || null
+        });
+    }
+
+    const overdueQuery = {
+        reader: reader._id,
+        actualReturnDate: null,
+        expectedReturnDate: { $lt: new Date() }
+    };
+    if (excludeRental) {
+        overdueQuery._id = { $ne: excludeRental };
+    }
+
+    const overdueRentals = await Rental.find(overdueQuery).select('_id book expectedReturnDate');
+    if (overdueRentals.length) {
+        reasons.push({
+            code: 'OVERDUE_RENTALS',
+            message: `Reader has ${overdueRentals.length} overdue rental(s)`,
+            rentals: overdueRentals.map(rental => rental._id)
+        });
+    }
+
+    const { outstanding } = await LedgerEntry.getBalance({ reader: reader._id });
+    if (outstanding > rules.maxOutstandingBalance) {
+        reasons.push({
+            code: 'OUTSTANDING_BALANCE',
+            message: `Outstanding balance ${outstanding} exceeds the limit of ${rules.maxOutstandingBalance}`,
+            outstanding,
+            limit: rules.maxOutstandingBalance
+        });
+    }
+
+    if (checkout && reader.isMembershipExpired) {
+        reasons.push({
+            code: 'MEMBERSHIP_EXPIRED',
+            message: `Membership expired on ${reader.membershipExpiresAt.toISOString().slice(0, 10)}`,
+            expiredAt: reader.membershipExpiresAt
+        });
+    }
+
+    if (checkout) {
+        if (!reader.populated('category')) {
+            await reader.populate('category');
+        }
+
+        const limit = reader.category.rentalLimit;
+        const activeRentals = await Rental.countDocuments({ reader: reader._id, status: 'active' });
+        if (activeRentals + newRentals > limit) {
+            reasons.push({
+                code: 'RENTAL_LIMIT',
+                message: activeRentals >= limit
+                    ? `Reader has reached maximum rental limit (${limit} books)`
+                    : `Checking out ${newRentals} books would exceed the rental limit (${limit} books, ${activeRentals} active)`,
+                activeRentals,
+                requested: newRentals,
+                limit
+            });
+        }
+    }
+
+    return { canBorrow: reasons.length === 0, reasons };
+};
+
+// Refuse the action with the full list of reasons attached to the error
+const assertCanBorrow = async (reader, options) => {
+    const standing = await evaluateStanding(reader, options);
+
+    if (!standing.canBorrow) {
+        throw createError(400, standing.reasons.map(reason => reason.message).join('; '), {
+            details: { reasons: standing.reasons }
+        });
+    }
+
+    return standing;
+};
+
+module.exports = {
+    getStandingRules,
+    evaluateStanding,
+    assertCanBorrow
+};
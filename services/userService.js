@@ -0,0 +1,28 @@
+const User = require('../models/User');
+
+// Deployments that had accounts before staff roles existed start without an admin, and only
+// the very first registration becomes one. ADMIN_EMAIL names the account to promote then
+const bootstrapAdmin = async () => {
+    const email = process.env.ADMIN_EMAIL;
+    if (!email) return null;
+
+    if (await User.exists({ role: 'admin', isActive: true })) {
+        return null;
+    }
+
+    const user = await User.findOneAndUpdate(
+        { email: email.trim().toLowerCase(), isActive: true },
+        { $set: { role: 'admin' } },
+        { new: true }
+    );
+
+    if (!user) {
+        console.warn(`ADMIN_EMAIL ${email} does not match an active account, no admin was promoted`);
+    }
+
+    return user;
+};
+
+module.exports = {
+    bootstrapAdmin
+};
@@ -0,0 +1,85 @@
+// RFC 4180 CSV: quoted fields may contain commas, doubled quotes and line breaks
+const createError = require('http-errors');
+
+// Rows as arrays of strings, each with the line it starts on; blank lines are dropped
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endField = () => {
+        row.push(field);
+        field = '';
+    };
+
+    const endRow = () => {
+        endField();
+        if (row.length > 1 || row[0] !== '') {
+            rows.push({ line: rowLine, values: row });
+        }
+        row = [];
+    };
+
+    // A byte order mark from spreadsheet exports is not part of the first header
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let index = 0; index < input.length; index++) {
+        const char = input[index];
+
+        if (quoted) {
+            if (char === '"' && input[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[index + 1] === '\n') index++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw createError(400, `Unterminated quoted field starting on line ${rowLine}`);
+    }
+    if (field !== '' || row.length) {
+        endRow();
+    }
+
+    return rows;
+};
+
+// Spreadsheets run text starting with these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// One CSV line; fields with commas, quotes or line breaks are quoted. Text that would open as
+// a formula, such as a reader name starting with "=", gets a leading ' so it stays text
+const toCsvLine = (values) => values
+    .map(value => {
+        if (value === undefined || value === null) return '';
+        let text = value instanceof Date ? value.toISOString() : String(value);
+        if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(',') + '\r\n';
+
+module.exports = {
+    parseCsv,
+    toCsvLine
+};
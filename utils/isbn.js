@@ -0,0 +1,68 @@
+// ISBN-10 / ISBN-13 validation and normalization.
+// Books are stored with a hyphen-free ISBN-13, plus the ISBN-10 when one exists (978 prefix)
+
+const clean = (isbn) => String(isbn).replace(/[\s-]/g, '').toUpperCase();
+
+const isValidIsbn10 = (isbn) => {
+    if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+
+    const sum = isbn.split('').reduce((total, char, index) => {
+        const digit = char === 'X' ? 10 : Number(char);
+        return total + digit * (10 - index);
+    }, 0);
+
+    return sum % 11 === 0;
+};
+
+const isbn13CheckDigit = (first12) => {
+    const sum = first12.split('').reduce((total, char, index) => {
+        return total + Number(char) * (index % 2 === 0 ? 1 : 3);
+    }, 0);
+
+    return String((10 - (sum % 10)) % 10);
+};
+
+const isValidIsbn13 = (isbn) => {
+    if (!/^97[89]\d{10}$/.test(isbn)) return false;
+    return isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12];
+};
+
+const isbn10To13 = (isbn10) => {
+    const first12 = `978${isbn10.slice(0, 9)}`;
+    return first12 + isbn13CheckDigit(first12);
+};
+
+const isbn13To10 = (isbn13) => {
+    if (!isbn13.startsWith('978')) return null;
+
+    const first9 = isbn13.slice(3, 12);
+    const sum = first9.split('').reduce((total, char, index) => total + Number(char) * (10 - index), 0);
+    const check = (11 - (sum % 11)) % 11;
+
+    return first9 + (check === 10 ? 'X' : String(check));
+};
+
+// Returns { isbn13, isbn10 } or null when the value is not a valid ISBN
+const normalizeIsbn = (isbn) => {
+    if (isbn === undefined || isbn === null || isbn === '') return null;
+
+    const value = clean(isbn);
+
+    if (value.length === 10 && isValidIsbn10(value)) {
+        return { isbn13: isbn10To13(value), isbn10: value };
+    }
+
+    if (value.length === 13 && isValidIsbn13(value)) {
+        return { isbn13: value, isbn10: isbn13To10(value) };
+    }
+
+    return null;
+};
+
+module.exports = {
+    isValidIsbn10,
+    isValidIsbn13,
+    isbn10To13,
+    isbn13To10,
+    normalizeIsbn
+};
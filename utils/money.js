@@ -0,0 +1,6 @@
+// Amounts are kept in the currency's main unit with two decimals
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = {
+    roundMoney
+};
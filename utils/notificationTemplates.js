@@ -0,0 +1,79 @@
+// Message templates per notification type and channel. {{name}} placeholders are filled from
+// the notification context; unknown names are left empty. SMS messages have no subject
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TEMPLATES = {
+    due_soon: {
+        email: {
+            subject: 'Reminder: "{{bookTitle}}" is due on {{dueDate}}',
+            text: 'Dear {{fullName}},\n\n'
+                + 'This is a reminder that "{{bookTitle}}" by {{bookAuthor}} is due back on {{dueDate}}.\n'
+                + 'Please return or renew it by then to avoid late fines.\n\n'
+                + '{{libraryName}}\n{{libraryPhone}}'
+        },
+        sms: {
+            text: '{{libraryName}}: "{{bookTitle}}" is due on {{dueDate}}. Please return or renew it in time.'
+        }
+    },
+    overdue: {
+        email: {
+            subject: 'Overdue: "{{bookTitle}}" was due on {{dueDate}}',
+            text: 'Dear {{fullName}},\n\n'
+                + '"{{bookTitle}}" by {{bookAuthor}} was due back on {{dueDate}} and is now {{overdueDays}} days overdue.\n'
+                + 'The fine accrued so far is {{fineAmount}}. Please return the book as soon as possible.\n\n'
+                + '{{libraryName}}\n{{libraryPhone}}'
+        },
+        sms: {
+            text: '{{libraryName}}: "{{bookTitle}}" is {{overdueDays}} days overdue (due {{dueDate}}), fine so far {{fineAmount}}. Please return it.'
+        }
+    },
+    hold_ready: {
+        email: {
+            subject: '"{{bookTitle}}" is ready for pickup',
+            text: 'Dear {{fullName}},\n\n'
+                + 'The book you reserved, "{{bookTitle}}" by {{bookAuthor}}, is waiting for you at the desk.\n'
+                + 'It is held for you until {{pickupDeadline}}; after that it goes to the next reader in line.\n\n'
+                + '{{libraryName}}\n{{libraryPhone}}'
+        },
+        sms: {
+            text: '{{libraryName}}: "{{bookTitle}}" is ready for pickup until {{pickupDeadline}}.'
+        }
+    }
+};
+
+// Templates can be replaced by files named <type>.<channel>.txt (e.g. overdue.email.txt) in
+// NOTIFICATION_TEMPLATES_DIR. An email file starts with a "Subject: ..." line
+const loadTemplateFile = (type, channel) => {
+    const dir = process.env.NOTIFICATION_TEMPLATES_DIR;
+    if (!dir) return null;
+
+    const file = path.join(dir, `${type}.${channel}.txt`);
+    if (!fs.existsSync(file)) return null;
+
+    const content = fs.readFileSync(file, 'utf8');
+    const match = content.match(/^Subject:[ \t]*(.*)\r?\n/i);
+    return match
+        ? { subject: match[1].trim(), text: content.slice(match[0].length).trim() }
+        : { text: content.trim() };
+};
+
+const fill = (template, context) => template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+    const value = context[name];
+    return value === undefined || value === null ? '' : String(value);
+});
+
+// { subject, text } for one message
+const renderTemplate = (type, channel, context) => {
+    const template = loadTemplateFile(type, channel) || DEFAULT_TEMPLATES[type][channel];
+
+    return {
+        subject: template.subject ? fill(template.subject, context) : undefined,
+        text: fill(template.text, context).trim()
+    };
+};
+
+module.exports = {
+    DEFAULT_TEMPLATES,
+    renderTemplate
+};
@@ -0,0 +1,119 @@
+// Rental pricing shared by checkout, renewal and quotes
+const createError = require('http-errors');
+const { roundMoney } = require('./money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Percentage added to the rental fee; fines and deposits are not taxed
+const getTaxRate = () => Number(process.env.RENTAL_TAX_RATE || 0);
+
+const calculateRentalDays = (startDate, endDate) => {
+    return Math.ceil((new Date(endDate) - new Date(startDate)) / DAY_MS);
+};
+
+const calculateTax = (amount, taxRate) => {
+    return roundMoney(Math.max(0, amount) * (taxRate || 0) / 100);
+};
+
+// Daily price times days, less the reader's discount, plus tax on what remains
+const priceRental = ({ pricePerDay, rentalDays, discountPercentage = 0, taxRate = getTaxRate() }) => {
+    const baseCost = roundMoney(pricePerDay * rentalDays);
+    const discountAmount = roundMoney((baseCost * discountPercentage) / 100);
+    const taxAmount = calculateTax(baseCost - discountAmount, taxRate);
+
+    return {
+        rentalDays,
+        pricePerDay,
+        baseCost,
+        discountPercentage,
+        discountAmount,
+        taxRate,
+        taxAmount,
+        total: roundMoney(baseCost - discountAmount + taxAmount)
+    };
+};
+
+// The fee for the days a rental was actually kept. The discount agreed at checkout or renewal is
+// applied as the same share of the fee, so an early return is never discounted below zero
+const priceRentalDays = (rental, rentalDays) => {
+    const agreedDays = Math.max(1, calculateRentalDays(rental.issueDate, rental.expectedReturnDate));
+    const agreedCost = rental.rentalPricePerDay * agreedDays;
+    const discountPercentage = agreedCost > 0
+        ? Math.min(100, Math.max(0, (rental.discountAmount * 100) / agreedCost))
+        : 0;
+
+    return priceRental({
+        pricePerDay: rental.rentalPricePerDay,
+        rentalDays,
+        discountPercentage,
+        taxRate: rental.taxRate
+    });
+};
+
+// The requested due date, or the end of the category's loan period; never longer than that period
+const resolveDueDate = (category, issueDate, expectedReturnDate) => {
+    const loanPeriodDays = category.loanPeriodDays;
+    const dueDate = expectedReturnDate
+        ? new Date(expectedReturnDate)
+        : new Date(issueDate.getTime() + loanPeriodDays * DAY_MS);
+
+    if (Number.isNaN(dueDate.getTime()) || dueDate <= issueDate) {
+        throw createError(400, 'Expected return date must be in the future');
+    }
+
+    if (calculateRentalDays(issueDate, dueDate) > loanPeriodDays) {
+        throw createError(400, `Loan period for ${category.name} readers is at most ${loanPeriodDays} days`);
+    }
+
+    return dueDate;
+};
+
+// Price every book for one reader and due date; the deposit is what is taken at checkout,
+// the fee is charged on return for the days actually kept
+const buildQuote = (books, reader, issueDate, dueDate) => {
+    const rentalDays = calculateRentalDays(issueDate, dueDate);
+    const taxRate = getTaxRate();
+
+    const items = books.map(book => ({
+        book: {
+            id: book._id,
+            title: book.title,
+            author: book.author,
+            isAvailable: book.isAvailable
+        },
+        depositAmount: book.depositAmount,
+        ...priceRental({
+            pricePerDay: book.rentalPricePerDay,
+            rentalDays,
+            discountPercentage: reader.discountPercentage,
+            taxRate
+        })
+    }));
+
+    const sum = (field) => roundMoney(items.reduce((total, item) => total + item[field], 0));
+
+    return {
+        issueDate,
+        expectedReturnDate: dueDate,
+        rentalDays,
+        items,
+        totals: {
+            depositAmount: sum('depositAmount'),
+            baseCost: sum('baseCost'),
+            discountAmount: sum('discountAmount'),
+            taxAmount: sum('taxAmount'),
+            total: sum('total'),
+            dueAtCheckout: sum('depositAmount')
+        }
+    };
+};
+
+module.exports = {
+    getTaxRate,
+    calculateRentalDays,
+    calculateTax,
+    priceRental,
+    priceRentalDays,
+    resolveDueDate,
+    buildQuote
+};
@@ -0,0 +1,117 @@
+// Lays out a stored receipt as a one-page PDF
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+const TITLES = {
+    checkout: 'Checkout receipt',
+    return: 'Return receipt'
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '-');
+const formatMoney = (amount) => Number(amount || 0).toFixed(2);
+
+// Amount lines per receipt type; zero charges are left out of return receipts
+const amountLines = (receipt) => {
+    const { amounts } = receipt;
+
+    if (receipt.type === 'checkout') {
+        return {
+            lines: [
+                ['Estimated rental fee', amounts.rentalFee],
+                ['Discount', -amounts.discountAmount],
+                ['Tax', amounts.taxAmount],
+                ['Deposit', amounts.depositAmount]
+            ],
+            totalLabel: 'Paid at checkout (deposit)'
+        };
+    }
+
+    const lines = [
+        ['Rental fee', amounts.rentalFee],
+        ['Discount', -amounts.discountAmount],
+        ['Tax', amounts.taxAmount],
+        ['Overdue fine', amounts.fineAmount],
+        ['Damage charge', amounts.damageCharge],
+        ['Replacement charge', amounts.replacementCharge]
+    ].filter(([label, amount]) => label === 'Rental fee' || amount);
+
+    return {
+        lines,
+        totalLabel: 'Total charged',
+        after: [
+            ['Deposit held', amounts.depositAmount],
+            ['Deposit refunded', amounts.depositRefunded],
+            ['Balance due', amounts.balanceDue]
+        ]
+    };
+};
+
+// PDFKit's standard fonts only cover Latin text. The bundled DejaVu Sans also covers Cyrillic
+// names and titles; RECEIPT_FONT_PATH can point to another TTF
+const getReceiptFont = () => process.env.RECEIPT_FONT_PATH || require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf');
+
+// Checked at startup, a missing font would otherwise only show up when a receipt is printed
+const assertReceiptFont = () => {
+    const font = getReceiptFont();
+    if (!fs.existsSync(font)) {
+        throw new Error(`Receipt font not found: ${font}`);
+    }
+};
+
+// Writes the PDF to a writable stream (an HTTP response)
+const writeReceiptPdf = (receipt, library, stream) => {
+    const doc = new PDFDocument({ size: 'A5', margin: 40, info: { Title: `Receipt ${receipt.receiptNumber}` } });
+    doc.font(getReceiptFont());
+    doc.pipe(stream);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    const row = (label, value, options = {}) => {
+        const y = doc.y;
+        doc.fontSize(options.size || 10).text(label, left, y, { width: width * 0.6 });
+        doc.text(value, left, y, { width, align: 'right' });
+        doc.moveDown(0.3);
+    };
+
+    doc.fontSize(16).text(library.name);
+    doc.fontSize(9);
+    [library.address, library.phone, library.email].filter(Boolean).forEach(line => doc.text(line));
+    doc.moveDown();
+
+    doc.fontSize(13).text(TITLES[receipt.type]);
+    doc.moveDown(0.5);
+    row('Receipt number', receipt.receiptNumber);
+    row('Issued', formatDate(receipt.createdAt));
+    doc.moveDown(0.5);
+
+    const { details } = receipt;
+    row('Reader', details.readerName || '-');
+    if (details.cardNumber) row('Card number', details.cardNumber);
+    row('Book', details.bookTitle || '-');
+    if (details.bookAuthor) row('Author', details.bookAuthor);
+    if (details.copyBarcode) row('Copy', details.copyBarcode);
+    row('Issue date', formatDate(details.issueDate));
+    row('Due date', formatDate(details.expectedReturnDate));
+    if (receipt.type === 'return') {
+        row(details.outcome === 'lost' ? 'Reported lost' : 'Returned', formatDate(details.actualReturnDate));
+    }
+    row('Rental days', String(details.rentalDays));
+    doc.moveDown(0.5);
+
+    const { lines, totalLabel, after = [] } = amountLines(receipt);
+    lines.forEach(([label, amount]) => row(label, formatMoney(amount)));
+
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+    doc.moveDown(0.3);
+    row(totalLabel, formatMoney(receipt.amounts.total), { size: 12 });
+    doc.moveDown(0.5);
+    after.forEach(([label, amount]) => row(label, formatMoney(amount)));
+
+    doc.end();
+};
+
+module.exports = {
+    assertReceiptFont,
+    writeReceiptPdf
+};
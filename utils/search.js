@@ -0,0 +1,117 @@
+// Helpers for free-text search input and highlighting matches in results
+
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive filter on the literal value, so "C++" or "(2nd ed.)" do not break the query
+const literalRegExp = (value) => new RegExp(escapeRegExp(value), 'i');
+
+const escapeHtml = (value) => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Lowercase without accents, the way the text index compares words ("Ї" and "ї" match "і", "é" matches "e").
+// map[i] is the index in the original text of folded character i
+const fold = (text) => {
+    let folded = '';
+    const map = [];
+
+    for (let index = 0; index < text.length; index++) {
+        const folding = text[index].normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+        for (const char of folding) {
+            folded += char;
+            map.push(index);
+        }
+    }
+
+    return { folded, map };
+};
+
+// Words and "quoted phrases" of a $text search; -negated words are not highlighted
+const parseSearchTerms = (search) => {
+    const phrases = [];
+    const rest = String(search).replace(/"([^"]*)"/g, (match, phrase) => {
+        if (phrase.trim()) phrases.push(phrase.trim());
+        return ' ';
+    });
+
+    const words = rest
+        .split(/\s+/)
+        .filter(word => word && !word.startsWith('-'))
+        .flatMap(word => word.split(/[^\p{L}\p{N}\p{M}]+/u))
+        .filter(Boolean);
+
+    return [...new Set([...phrases, ...words].map(term => fold(term).folded))];
+};
+
+// [start, end) ranges of whole-word matches in text, merged where they overlap
+const findMatches = (text, terms) => {
+    const { folded, map } = fold(text);
+    const ranges = [];
+
+    terms.forEach(term => {
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, 'gu');
+        for (const match of folded.matchAll(pattern)) {
+            ranges.push([map[match.index], map[match.index + match[0].length - 1] + 1]);
+        }
+    });
+
+    ranges.sort((a, b) => a[0] - b[0]);
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([...range]);
+        }
+        return merged;
+    }, []);
+};
+
+// HTML-escaped text with matches wrapped in <mark>, or null when nothing matched.
+// Long texts are cut to a snippet of about maxLength characters around the first match
+const highlight = (text, terms, maxLength = 0) => {
+    if (!text || terms.length === 0) return null;
+
+    let ranges = findMatches(text, terms);
+    if (ranges.length === 0) return null;
+
+    let start = 0;
+    let end = text.length;
+    if (maxLength && text.length > maxLength) {
+        start = Math.max(0, Math.min(ranges[0][0] - Math.floor(maxLength / 4), text.length - maxLength));
+        end = start + maxLength;
+        ranges = ranges
+            .filter(([from, to]) => to > start && from < end)
+            .map(([from, to]) => [Math.max(from, start), Math.min(to, end)]);
+    }
+
+    let result = start > 0 ? '…' : '';
+    let position = start;
+    ranges.forEach(([from, to]) => {
+        result += escapeHtml(text.slice(position, from)) + `<mark>${escapeHtml(text.slice(from, to))}</mark>`;
+        position = to;
+    });
+    result += escapeHtml(text.slice(position, end)) + (end < text.length ? '…' : '');
+
+    return result;
+};
+
+// Highlighted versions of the given fields that contain a match
+const highlightFields = (doc, fields, terms, snippetLength = {}) => {
+    return fields.reduce((highlights, field) => {
+        const value = highlight(doc[field], terms, snippetLength[field]);
+        if (value) highlights[field] = value;
+        return highlights;
+    }, {});
+};
+
+module.exports = {
+    escapeRegExp,
+    literalRegExp,
+    parseSearchTerms,
+    highlight,
+    highlightFields
+};